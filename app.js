@@ -11,7 +11,6 @@ const bodyParser = require('body-parser');
 const logger = require('morgan');
 const chalk = require('chalk');
 const errorHandler = require('errorhandler');
-const nano = require('nano');
 
 /**
  * Create Express Server.
@@ -39,6 +38,13 @@ const workflowController = require('./controllers/workflow');
 const csvController = require('./controllers/generate_csv');
 const changesController = require('./controllers/changes');
 const tripController = require('./controllers/trip');
+const exportsController = require('./controllers/exports');
+const locationController = require('./controllers/location');
+const reportController = require('./controllers/report');
+const schemaController = require('./controllers/schema');
+const headersController = require('./controllers/headers');
+const codebookController = require('./controllers/codebook');
+const duplicatesController = require('./controllers/duplicates');
 
 
 /**
@@ -47,20 +53,24 @@ const tripController = require('./controllers/trip');
 
 const dbConfig = require('./config');
 const dbQuery = require('./utils/dbQuery');
-const processChangedDocument = require('./controllers/changes').processChangedDocument;
-const generateCSV = require('./controllers/generate_csv').generateCSV;
+const streamCSV = require('./controllers/generate_csv').streamCSV;
+const getExportOptions = require('./controllers/generate_csv').getExportOptions;
+const buildFilename = require('./controllers/generate_csv').buildFilename;
+const getWorkflowName = require('./controllers/generate_csv').getWorkflowName;
+const getFormat = require('./utils/exportWriter').getFormat;
+const getExportFilter = require('./utils/exportFilter').getExportFilter;
+const describePeriod = require('./utils/exportFilter').describePeriod;
+const exportJobs = require('./utils/exportJobs');
+
+changesController.followChanges(dbConfig.base_db, dbConfig.result_db)
+  .then((feed) => feed.on('error', (err) => console.error(err)))
+  .catch((err) => console.error(err));
 
-const BASE_DB = nano(dbConfig.base_db);
-const feed = BASE_DB.follow({ since: 'now', include_docs: true });
-
-feed.on('change', (resp) => {
-  feed.pause();
-  processChangedDocument(resp, dbConfig.base_db, dbConfig.result_db);
-  setTimeout(function() { feed.resume() }, 500);
-});
+/**
+ * Remove expired export files on a schedule.
+ */
 
-feed.on('error', (err) => err);
-feed.follow();
+exportJobs.scheduleCleanup();
 
 /**
  * App routes.
@@ -70,21 +80,21 @@ app.get('/', (req, res) => res.render('index'));
 
 app.post('/', (req, res) => {
   const resultDbUrl =  dbConfig.result_db;
-  const resultId = req.body.workflowId;
-  const resultYear = req.body.year;
-  let resultMonth = req.body.month;
-  resultMonth = resultMonth ? resultMonth : false;
-
-  let queryId = resultMonth && resultYear ? `${resultId}_${resultYear}_${resultMonth}` : resultId;
-
-  dbQuery.retrieveDoc(resultId, resultDbUrl)
-    .then(async (docHeaders) => {
-      const result = await dbQuery.getProcessedResults(queryId, resultDbUrl);
-      const csvFile = await generateCSV(docHeaders, result);
-      const downloadFile = __dirname + `/${csvFile}`;
-      res.download(downloadFile);
+
+  Promise.resolve()
+    .then(async () => {
+      const filter = getExportFilter(req.body);
+      const options = getExportOptions(req.body);
+      const format = getFormat(options.format);
+      const docHeaders = await dbQuery.retrieveHeaders(filter.workflowId, resultDbUrl, options.headerVersion);
+      const workflowName = await getWorkflowName(filter.workflowId, dbConfig.base_db);
+
+      // stream rows straight into the download instead of writing a file first.
+      res.attachment(buildFilename(options.layout === 'long' ? `${workflowName} long` : workflowName, describePeriod(filter), new Date(), options.format));
+      res.type(format.contentType);
+      await streamCSV(docHeaders, filter, resultDbUrl, res, options);
     })
-    .catch((err) => res.send(err));
+    .catch((err) => res.headersSent ? res.destroy() : res.send(err.message || err));
 });
 
 app.post('/assessment', assessmentController.all);
@@ -101,6 +111,19 @@ app.post('/workflow/headers/:id', workflowController.generateHeader);
 app.post('/workflow/result/:id', tripController.processResult);
 
 app.post('/generate_csv/:id/:year?/:month?', csvController.generate);
+app.post('/exports', csvController.generate);
+app.get('/exports/:jobId', exportsController.status);
+app.get('/exports/:jobId/download', exportsController.download);
+app.get('/locations', locationController.all);
+app.post('/reports/enumerators', reportController.enumerators);
+app.post('/reports/gps', reportController.gps);
+app.get('/reports/fallback/:id', reportController.fallback);
+app.get('/reports/schema/:id', schemaController.reconcile);
+app.get('/reports/duplicates/:id', duplicatesController.report);
+app.get('/headers/:id/versions', headersController.versions);
+app.get('/headers/:id/versions/:version', headersController.version);
+app.get('/headers/:id/diff', headersController.diff);
+app.get('/codebook/:id', codebookController.codebook);
 app.post('/tangerine_changes', changesController.changes);
 app.post('/get_processed_results/:id', dbQuery.processedResultsById);
 
@@ -20,6 +20,20 @@ const processAssessmentResult = require('./controllers/result').generateResult;
 const createWorkflowHeaders = require('./controllers/workflow').createWorkflowHeaders;
 const processWorkflowResult = require('./controllers/trip').processWorkflowResult;
 const generateCSV = require('./controllers/generate_csv').generateCSV;
+const parseCodebook = require('./controllers/generate_csv').parseCodebook;
+const parseLayout = require('./controllers/generate_csv').parseLayout;
+const generatePaymentSheet = require('./controllers/report').generatePaymentSheet;
+const generateFallbackReport = require('./controllers/report').generateFallbackReport;
+const generateGpsReport = require('./controllers/report').generateGpsReport;
+const reconcileHeaders = require('./controllers/schema').reconcileHeaders;
+const detectDuplicates = require('./controllers/duplicates').detectDuplicates;
+const generateDuplicateReport = require('./controllers/duplicates').generateDuplicateReport;
+const getHeaderVersions = require('./controllers/headers').getVersions;
+const compareHeaderVersions = require('./controllers/headers').compareVersions;
+const parseVersion = require('./controllers/headers').parseVersion;
+const generateCodebookFile = require('./controllers/codebook').generateCodebookFile;
+const getExportFilter = require('./utils/exportFilter').getExportFilter;
+const parseValueMaps = require('./prototypes/helpers').parseValueMaps;
 
 const dbQuery = require('./utils/dbQuery');
 const dbConfig = require('./config');
@@ -45,7 +59,7 @@ async function generateAssessmentHeaders(data) {
   for (item of data) {
     let assessmentId = item.doc.assessmentId;
     let generatedHeaders = await createColumnHeaders(item.doc, 0, dbConfig.base_db);
-    response = await dbQuery.saveHeaders(generatedHeaders, assessmentId, dbConfig.result_db);
+    response = await dbQuery.saveHeaders(generatedHeaders, assessmentId, dbConfig.result_db, { id: item.doc._id, rev: item.doc._rev });
     console.log(response);
   }
   return response;
@@ -64,7 +78,7 @@ async function generateworkflowHeaders(data) {
   for (item of data) {
     let workflowId = item.id;
     let generatedWorkflowHeaders = await createWorkflowHeaders(item.doc, dbConfig.base_db);
-    response = await dbQuery.saveHeaders(generatedWorkflowHeaders, workflowId, dbConfig.result_db);
+    response = await dbQuery.saveHeaders(generatedWorkflowHeaders, workflowId, dbConfig.result_db, { id: item.doc._id, rev: item.doc._rev });
     console.log(response);
   }
   return response;
@@ -178,7 +192,7 @@ tangerine
       .then(async(data) => {
         const docId = data.assessmentId || data.curriculumId;
         const colHeaders = await createColumnHeaders(data, 0, dbConfig.base_db);
-        const saveResponse = await dbQuery.saveHeaders(colHeaders, docId, dbConfig.result_db);
+        const saveResponse = await dbQuery.saveHeaders(colHeaders, docId, dbConfig.result_db, { id: data._id, rev: data._rev });
         console.log(saveResponse);
         console.log(chalk.green('✓ Successfully generate and save assessment header'));
       })
@@ -221,7 +235,7 @@ tangerine
     dbQuery.retrieveDoc(id, dbConfig.base_db)
       .then(async(doc) => {
         let colHeaders = await createWorkflowHeaders(doc, dbConfig.base_db);
-        const saveResponse = await dbQuery.saveHeaders(colHeaders, id, dbConfig.result_db);
+        const saveResponse = await dbQuery.saveHeaders(colHeaders, id, dbConfig.result_db, { id: doc._id, rev: doc._rev });
         console.log(saveResponse);
         console.log(chalk.green('✓ Successfully generate and save workflow header'));
       })
@@ -307,6 +321,8 @@ tangerine
 /**
  * This part generates a csv file.
  * It is executed when the command `tangerine-reporting generate-csv <docId>` is run.
+ * E.g. run `tangerine-reporting generate-csv <docId> -f tsv` => to generate a tab separated file
+ * E.g. run `tangerine-reporting generate-csv <docId> --months 2018-01,2018-02,2018-03` => to export a term
  *
  * @param {string} docId - workflow id  of the document
  */
@@ -314,14 +330,275 @@ tangerine
   .version('0.1.0')
   .command('generate-csv <docId>')
   .description('creates a csv file')
-  .action((docId) => {
-    dbQuery.retrieveDoc(docId, dbConfig.result_db)
-      .then(async(docHeaders) => {
-        const result = await dbQuery.getProcessedResults(docId, dbConfig.result_db);
-        await generateCSV(docHeaders, result);
-        console.log(chalk.green('✓ CSV Successfully Generated'));
+  .option('-f, --format <format>', 'file format: csv, tsv, jsonl or xlsx', 'xlsx')
+  .option('--no-bom', 'do not start csv or tsv files with a UTF-8 byte order mark')
+  .option('-o, --output-dir <dir>', 'directory the file is written to')
+  .option('--start-date <date>', 'only export results from this date (YYYY-MM-DD)')
+  .option('--end-date <date>', 'only export results up to this date (YYYY-MM-DD)')
+  .option('--months <months>', 'only export results of these months (YYYY-MM,YYYY-MM)')
+  .option('-y, --year <year>', 'only export results of this year, along with --month')
+  .option('-m, --month <month>', 'only export results of this month, along with --year')
+  .option('-l, --location <location>', 'only export results of these locations (county=Nairobi,zone=Kilimani)')
+  .option('--validity <validity>', 'export all results, or only valid or invalid ones', 'all')
+  .option('--header-version <version>', 'export with the columns of this header version instead of the latest')
+  .option('--codebook <codebook>', 'codebook as an xlsx sheet, or a json, csv or tsv file next to the export, or none')
+  .option('--value-maps <json>', 'recode grid and survey values, e.g. {"survey":{"skipped":"-99"}}')
+  .option('--layout <layout>', 'wide, one row per result, or long, one row per item or question', 'wide')
+  .action((docId, options) => {
+    const exportOptions = {
+      format: options.format,
+      bom: options.bom === false ? false : undefined,
+      outputDir: options.outputDir
+    };
+    Promise.resolve()
+      .then(async() => {
+        const filter = getExportFilter({
+          workflowId: docId,
+          startDate: options.startDate,
+          endDate: options.endDate,
+          months: options.months,
+          year: options.year,
+          month: options.month,
+          location: options.location,
+          validity: options.validity
+        });
+        exportOptions.codebook = parseCodebook(options.codebook, options.format);
+        exportOptions.valueMaps = parseValueMaps(options.valueMaps);
+        exportOptions.layout = parseLayout(options.layout);
+        const docHeaders = await dbQuery.retrieveHeaders(docId, dbConfig.result_db, parseVersion(options.headerVersion));
+        const filename = await generateCSV(docHeaders, filter, dbConfig.result_db, exportOptions);
+        console.log(chalk.green(`✓ CSV Successfully Generated: ${filename}`));
       })
-      .catch((err) => Error(err));
+      .catch((err) => console.error(chalk.red(err.message || err)));
+  });
+
+/**
+ * This part creates an enumerator productivity and payment sheet.
+ * It is executed when the command `tangerine-reporting enumerator-report <docId>` is run.
+ * E.g. run `tangerine-reporting enumerator-report <docId> --months 2018-01` => to pay enumerators for January
+ *
+ * @param {string} docId - workflow id  of the document
+ */
+tangerine
+  .version('0.1.0')
+  .command('enumerator-report <docId>')
+  .description('creates a payment sheet of valid and invalid observations per enumerator')
+  .option('-f, --format <format>', 'file format: csv, tsv, jsonl or xlsx', 'xlsx')
+  .option('-o, --output-dir <dir>', 'directory the file is written to')
+  .option('--start-date <date>', 'only count results from this date (YYYY-MM-DD)')
+  .option('--end-date <date>', 'only count results up to this date (YYYY-MM-DD)')
+  .option('--months <months>', 'only count results of these months (YYYY-MM,YYYY-MM)')
+  .option('-l, --location <location>', 'only count results of these locations (county=Nairobi,zone=Kilimani)')
+  .action((docId, options) => {
+    Promise.resolve()
+      .then(async() => {
+        const filter = getExportFilter({
+          workflowId: docId,
+          startDate: options.startDate,
+          endDate: options.endDate,
+          months: options.months,
+          location: options.location
+        });
+        const filename = await generatePaymentSheet(filter, dbConfig.result_db, {
+          format: options.format,
+          outputDir: options.outputDir
+        });
+        console.log(chalk.green(`✓ Payment Sheet Successfully Generated: ${filename}`));
+      })
+      .catch((err) => console.error(chalk.red(err.message || err)));
+  });
+
+/**
+ * This part summarizes the gps checks of each enumerator.
+ * It is executed when the command `tangerine-reporting gps-report <docId>` is run.
+ * E.g. run `tangerine-reporting gps-report <docId> --months 2018-01` => to check the observations of January
+ *
+ * @param {string} docId - workflow id  of the document
+ */
+tangerine
+  .version('0.1.0')
+  .command('gps-report <docId>')
+  .description('list the observations captured away from their school or with a low gps accuracy per enumerator')
+  .option('--start-date <date>', 'only count results from this date (YYYY-MM-DD)')
+  .option('--end-date <date>', 'only count results up to this date (YYYY-MM-DD)')
+  .option('--months <months>', 'only count results of these months (YYYY-MM,YYYY-MM)')
+  .option('-l, --location <location>', 'only count results of these locations (county=Nairobi,zone=Kilimani)')
+  .action((docId, options) => {
+    Promise.resolve()
+      .then(() => {
+        const filter = getExportFilter({
+          workflowId: docId,
+          startDate: options.startDate,
+          endDate: options.endDate,
+          months: options.months,
+          location: options.location
+        });
+        return generateGpsReport(filter, dbConfig.result_db);
+      })
+      .then((report) => {
+        report.forEach((entry) => {
+          let color = entry.outOfRange ? chalk.red : entry.lowAccuracy ? chalk.yellow : chalk.green;
+          console.log(color(`${entry.enumerator}\t${entry.checked} of ${entry.total} checked\t${entry.outOfRange} out of range\t` +
+            `${entry.lowAccuracy} low accuracy\tmedian ${entry.medianDistance === undefined ? '-' : entry.medianDistance} m`));
+          entry.outOfRangeResults.forEach((result) => {
+            console.log(chalk.red(`  ${result.id}\t${Object.values(result.location || {}).join('/')}\t${result.distance} m`));
+          });
+        });
+      })
+      .catch((err) => console.error(chalk.red(err.message || err)));
+  });
+
+/**
+ * This part reports the subtests of unsupported prototypes.
+ * It is executed when the command `tangerine-reporting fallback-report <id>` is run.
+ *
+ * @param {string} id - workflow or assessment id
+ */
+tangerine
+  .version('0.1.0')
+  .command('fallback-report <id>')
+  .description('list the subtests whose prototype fell back to generic columns or was skipped')
+  .action((id) => {
+    generateFallbackReport(id, dbConfig.base_db, dbConfig.result_db)
+      .then((report) => {
+        if (!report.subtests.length) {
+          return console.log(chalk.green('✓ Every subtest prototype is supported'));
+        }
+        report.subtests.forEach((subtest) => {
+          let color = subtest.status === 'skipped' ? chalk.red : chalk.yellow;
+          console.log(color(`${subtest.status}\t${subtest.prototype}\t${subtest.subtestId}\t${subtest.name || ''}\t${subtest.columns.length} columns\t${subtest.results} results`));
+        });
+      })
+      .catch((err) => console.error(chalk.red(err.message || err)));
+  });
+
+/**
+ * This part compares the column headers of a workflow or assessment with its processed results.
+ * It is executed when the command `tangerine-reporting check-headers <id>` is run.
+ *
+ * @param {string} id - workflow or assessment id
+ */
+tangerine
+  .version('0.1.0')
+  .command('check-headers <id>')
+  .description('list result values without a column and columns without values')
+  .option('-s, --sample <size>', 'number of most recent results to check', 100)
+  .action((id, options) => {
+    reconcileHeaders(id, dbConfig.result_db, { sampleSize: options.sample })
+      .then((report) => {
+        report.orphanValues.forEach((orphan) => {
+          console.log(chalk.red(`orphan value\t${orphan.key}\tin ${orphan.count} of ${report.sampleSize} results, e.g. ${orphan.example}`));
+        });
+        report.emptyColumns.forEach((column) => {
+          console.log(chalk.yellow(`empty column\t${column.header}\t${column.key}`));
+        });
+        let summary = `${report.orphanValues.length} orphan values and ${report.emptyColumns.length} empty columns ` +
+          `in ${report.headerCount} columns and ${report.sampleSize} results`;
+        console.log(report.orphanValues.length || report.emptyColumns.length ? chalk.red(summary) : chalk.green(`✓ ${summary}`));
+      })
+      .catch((err) => console.error(chalk.red(err.message || err)));
+  });
+
+/**
+ * This part flags and reports suspected duplicate observations.
+ * It is executed when the command `tangerine-reporting duplicates <id>` is run.
+ *
+ * @param {string} id - workflow or assessment id
+ */
+tangerine
+  .version('0.1.0')
+  .command('duplicates <id>')
+  .description('flag the suspected duplicates of every result again and list them')
+  .option('-w, --window <minutes>', 'time window replacing the duplicateWindowMinutes of the group settings')
+  .action((id, options) => {
+    detectDuplicates(id, dbConfig.result_db, dbConfig.base_db, { windowMinutes: options.window })
+      .then(async(summary) => {
+        const report = await generateDuplicateReport(id, dbConfig.result_db);
+        report.groups.forEach((group, index) => {
+          group.forEach((result) => {
+            console.log(chalk.yellow(`group ${index + 1}\t${result.id}\t${result.enumerator}\t${result.startTime}\t${Object.values(result.location || {}).join('/')}\t${result.participantId || ''}`));
+          });
+        });
+        let message = `${summary.flagged} of ${summary.checked} results are suspected duplicates ` +
+          `within ${summary.windowMinutes} minutes, ${summary.updated} updated`;
+        console.log(summary.flagged ? chalk.red(message) : chalk.green(`✓ ${message}`));
+      })
+      .catch((err) => console.error(chalk.red(err.message || err)));
+  });
+
+/**
+ * This part creates the codebook of a workflow or assessment export.
+ * It is executed when the command `tangerine-reporting codebook <id>` is run.
+ *
+ * @param {string} id - workflow or assessment id
+ */
+tangerine
+  .version('0.1.0')
+  .command('codebook <id>')
+  .description('creates a codebook describing every export column')
+  .option('-f, --format <format>', 'file format: json, csv, tsv or xlsx', 'json')
+  .option('-o, --output-dir <dir>', 'directory the file is written to')
+  .option('--header-version <version>', 'describe the columns of this header version instead of the latest')
+  .option('--value-maps <json>', 'describe the coding of grid and survey values with these value maps')
+  .action((id, options) => {
+    Promise.resolve()
+      .then(async() => {
+        const filename = await generateCodebookFile(id, {
+          format: options.format,
+          outputDir: options.outputDir,
+          headerVersion: parseVersion(options.headerVersion),
+          valueMaps: parseValueMaps(options.valueMaps)
+        });
+        console.log(chalk.green(`✓ Codebook Successfully Generated: ${filename}`));
+      })
+      .catch((err) => console.error(chalk.red(err.message || err)));
+  });
+
+/**
+ * This part lists the header versions of a workflow or assessment.
+ * It is executed when the command `tangerine-reporting header-versions <id>` is run.
+ *
+ * @param {string} id - workflow or assessment id
+ */
+tangerine
+  .version('0.1.0')
+  .command('header-versions <id>')
+  .description('list the generated header versions of a workflow or assessment')
+  .action((id) => {
+    getHeaderVersions(id, dbConfig.result_db)
+      .then((versions) => {
+        versions.forEach((version) => {
+          console.log(`${version.version}\t${version.createdAt || ''}\t${version.sourceId || ''}@${version.sourceRev || ''}\t${version.columnCount} columns`);
+        });
+        console.log(chalk.green(`✓ ${versions.length} header versions`));
+      })
+      .catch((err) => console.error(chalk.red(err.message || err)));
+  });
+
+/**
+ * This part compares two header versions of a workflow or assessment.
+ * It is executed when the command `tangerine-reporting header-diff <id> [from] [to]` is run.
+ * Without versions, the latest version is compared with the one before it.
+ *
+ * @param {string} id - workflow or assessment id
+ * @param {number} from - older version
+ * @param {number} to - newer version
+ */
+tangerine
+  .version('0.1.0')
+  .command('header-diff <id> [from] [to]')
+  .description('list the columns added, removed, reordered or renamed between two header versions')
+  .action((id, from, to) => {
+    compareHeaderVersions(id, dbConfig.result_db, from, to)
+      .then((diff) => {
+        diff.added.forEach((column) => console.log(chalk.green(`added\t${column.header}\t${column.key}`)));
+        diff.removed.forEach((column) => console.log(chalk.red(`removed\t${column.header}\t${column.key}`)));
+        diff.reordered.forEach((column) => console.log(chalk.yellow(`moved\t${column.header}\t${column.key}\t${column.from + 1} -> ${column.to + 1}`)));
+        diff.renamed.forEach((column) => console.log(chalk.yellow(`renamed\t${column.from} -> ${column.to}\t${column.key}`)));
+        console.log(chalk.green(`✓ Compared header versions ${diff.from} and ${diff.to}: ${diff.added.length} added, ` +
+          `${diff.removed.length} removed, ${diff.reordered.length} moved, ${diff.renamed.length} renamed`));
+      })
+      .catch((err) => console.error(chalk.red(err.message || err)));
   });
 
 /**
@@ -18,6 +18,7 @@ const nano = require('nano');
  */
 
 const dbQuery = require('./../utils/dbQuery');
+const prototypes = require('./../prototypes');
 
 /**
  * Retrieves all assessment collection in the database.
@@ -100,7 +101,7 @@ exports.generateHeader = (req, res) => {
     .then(async(data) => {
       const docId = data.assessmentId || data.curriculumId;
       const colHeaders = await createColumnHeaders(data, 0, dbUrl);
-      const saveResponse = await dbQuery.saveHeaders(colHeaders, docId, resultDbUrl);
+      const saveResponse = await dbQuery.saveHeaders(colHeaders, docId, resultDbUrl, { id: data._id, rev: data._rev });
       res.json(saveResponse);
     })
     .catch((err) => res.send(err));
@@ -144,7 +145,7 @@ exports.generateAll = (req, res) => {
       for (item of data) {
         let assessmentId = item.doc.assessmentId;
         let generatedHeaders = await createColumnHeaders(item.doc, 0, dbUrl);
-        saveResponse = await dbQuery.saveHeaders(generatedHeaders, assessmentId, resultDbUrl);
+        saveResponse = await dbQuery.saveHeaders(generatedHeaders, assessmentId, resultDbUrl, { id: item.doc._id, rev: item.doc._rev });
         console.log(saveResponse);
       }
       res.json(saveResponse);
@@ -171,11 +172,11 @@ const createColumnHeaders = function(doc, count = 0, dbUrl) {
   let assessments = [];
   let docId = doc.workflowId || doc.assessmentId || doc.curriculumId;
   let collectionId = doc.typesId || doc.assessmentId || doc.curriculumId;
+  let assessmentSuffix = count > 0 ? `_${count}` : '';
 
   return new Promise((resolve, reject) => {
     dbQuery.retrieveDoc(collectionId, dbUrl)
       .then((item) => {
-        let assessmentSuffix = count > 0 ? `_${count}` : '';
         assessments.push({ header: `assessment_id${assessmentSuffix}`, key: `${docId}.assessmentId${assessmentSuffix}` });
         assessments.push({ header: `assessment_name${assessmentSuffix}`, key: `${docId}.assessmentName${assessmentSuffix}` });
         assessments.push({ header: `enumerator${assessmentSuffix}`, key: `${docId}.enumerator${assessmentSuffix}` });
@@ -187,70 +188,21 @@ const createColumnHeaders = function(doc, count = 0, dbUrl) {
           assessments.push({ header: 'mpesa_number', key: `${docId}.mPesaNumber` });
           assessments.push({ header: 'phone_number', key: `${docId}.phoneNumber` });
           assessments.push({ header: 'full_name', key: `${docId}.fullName` });
+          assessments.push({ header: 'gps_distance', key: `${docId}.gpsDistance` });
+          assessments.push({ header: 'gps_out_of_range', key: `${docId}.gpsOutOfRange` });
+          assessments.push({ header: 'gps_low_accuracy', key: `${docId}.gpsLowAccuracy` });
         }
         return dbQuery.getSubtests(collectionId, dbUrl);
       })
       .then(async(subtestData) => {
-        let subtestCount = {
-          locationCount: 0,
-          datetimeCount: 0,
-          idCount: 0,
-          consentCount: 0,
-          gpsCount: 0,
-          cameraCount: 0,
-          surveyCount: 0,
-          gridCount: 0,
-          timestampCount: 0
-        };
-        for (data of subtestData) {
-          if (data.prototype === 'location') {
-            let location = createLocation(data, subtestCount);
-            assessments = assessments.concat(location);
-            subtestCount.locationCount++;
-            subtestCount.timestampCount++;
-          }
-          if (data.prototype === 'datetime') {
-            let datetime = createDatetime(data, subtestCount);
-            assessments = assessments.concat(datetime);
-            subtestCount.datetimeCount++;
-            subtestCount.timestampCount++;
-          }
-          if (data.prototype === 'consent') {
-            let consent = createConsent(data, subtestCount);
-            assessments = assessments.concat(consent);
-            subtestCount.consentCount++;
-            subtestCount.timestampCount++;
-          }
-          if (data.prototype === 'id') {
-            let id = createId(data, subtestCount);
-            assessments = assessments.concat(id);
-            subtestCount.idCount++;
-            subtestCount.timestampCount++;
-          }
-          if (data.prototype === 'survey') {
-            let surveys = await createSurvey(data._id, subtestCount, dbUrl);
-            assessments = assessments.concat(surveys);
-            subtestCount.surveyCount++;
-            subtestCount.timestampCount++;
-          }
-          if (data.prototype === 'grid') {
-            let grid = await createGrid(data, subtestCount);
-            assessments = assessments.concat(grid.gridHeader);
-            subtestCount.gridCount++;
-            subtestCount.timestampCount = grid.timestampCount;
-          }
-          if (data.prototype === 'gps') {
-            let gps = createGps(data, subtestCount);
-            assessments = assessments.concat(gps);
-            subtestCount.gpsCount++;
-            subtestCount.timestampCount++;
-          }
-          if (data.prototype === 'camera') {
-            let camera = createCamera(data, subtestCount);
-            assessments = assessments.concat(camera);
-            subtestCount.cameraCount++;
-            subtestCount.timestampCount++;
-          }
+        let subtestCount = prototypes.createSubtestCount();
+        let scoringRules = await dbQuery.getScoringRules(dbUrl);
+
+        for (let data of subtestData) {
+          let handler = prototypes.resolveHandler(data.prototype);
+          let headers = await handler.createHeaders(data, subtestCount, { dbUrl, scoringRules, assessmentSuffix });
+          assessments = assessments.concat(headers);
+          prototypes.countSubtest(handler, subtestCount);
         }
         resolve(assessments);
       })
@@ -259,243 +211,4 @@ const createColumnHeaders = function(doc, count = 0, dbUrl) {
 
 }
 
-/***********************************************
- *  HELPER FUNCTIONS FOR CREATING HEADERS     *
- *        FOR DIFFERENT PROTOTYPES            *
- **********************************************
-*/
-
-/**
- * This function creates headers for location prototypes.
- *
- * @param {Object} doc - document to be processed.
- * @param {Object} subtestCount - count.
- *
- * @returns {Array} - generated location headers.
- */
-
-function createLocation(doc, subtestCount) {
-  let count = subtestCount.locationCount;
-  let locationHeader = [];
-  let labels = doc.levels;
-  let locSuffix = count > 0 ? `_${count}` : '';
-
-  locationHeader.push({ header: `county${locSuffix}`, key: `${doc._id}.county${locSuffix}` });
-  locationHeader.push({ header: `subcounty${locSuffix}`, key: `${doc._id}.subcounty${locSuffix}` });
-  locationHeader.push({ header: `zone${locSuffix}`, key: `${doc._id}.zone${locSuffix}` });
-  locationHeader.push({ header: `school${locSuffix}`, key: `${doc._id}.school${locSuffix}` });
-  locationHeader.push({ header: `timestamp_${subtestCount.timestampCount}`, key: `${doc._id}.timestamp_${subtestCount.timestampCount}` });
-
-  return locationHeader;
-}
-
-/**
- * This function creates headers for datetime prototypes.
- *
- * @param {Object} doc - document to be processed.
- * @param {Object} subtestCount - count.
- *
- * @returns {Array} - generated datetime headers.
- */
-
-function createDatetime(doc, subtestCount) {
-  let count = subtestCount.datetimeCount;
-  let suffix, datetimeHeader = [];
-  suffix = count > 0 ? `_${count}` : '';
-
-  datetimeHeader.push({ header: `year${suffix}`, key: `${doc._id}.year${suffix}` });
-  datetimeHeader.push({ header: `month${suffix}`, key: `${doc._id}.month${suffix}` });
-  datetimeHeader.push({ header: `day${suffix}`, key: `${doc._id}.day${suffix}` });
-  datetimeHeader.push({ header: `assess_time${suffix}`, key: `${doc._id}.assess_time${suffix}` });
-  datetimeHeader.push({ header: `timestamp_${subtestCount.timestampCount}`, key: `${doc._id}.timestamp_${subtestCount.timestampCount}` });
-
-  return datetimeHeader;
-}
-
-/**
- * This function creates headers for consent prototypes.
- *
- * @param {Object} doc - document to be processed.
- * @param {Object} subtestCount - count.
- *
- * @returns {Array} - generated consent headers.
- */
-
-function createConsent(doc, subtestCount) {
-  let count = subtestCount.consentCount;
-  let suffix, consentHeader = [];
-
-  suffix = count > 0 ? `_${count}` : '';
-  consentHeader.push({ header: `consent${suffix}`, key: `${doc._id}.consent${suffix}` });
-  consentHeader.push({ header: `timestamp_${subtestCount.timestampCount}`, key: `${doc._id}.timestamp_${subtestCount.timestampCount}` });
-
-  return consentHeader;
-}
-
-/**
- * This function creates headers for id prototypes.
- *
- * @param {Object} doc - document to be processed.
- * @param {Object} subtestCount - count.
- *
- * @returns {Array} - generated id headers.
- */
-
-function createId(doc, subtestCount) {
-  let count = subtestCount.idCount;
-  let suffix, idHeader = [];
-
-  suffix = count > 0 ? `_${count}` : '';
-  idHeader.push({ header: `id${suffix}`, key: `${doc._id}.id${suffix}` });
-  idHeader.push({ header: `timestamp_${subtestCount.timestampCount}`, key: `${doc._id}.timestamp_${subtestCount.timestampCount}` });
-
-  return idHeader;
-}
-
-/**
- * This function creates headers for survey prototypes.
- *
- * @param {Object} id - document to be processed.
- * @param {Object} subtestCount - count.
- * @param {string} dbUrl - database url.
- *
- * @returns {Array} - generated survey headers.
- */
-
-async function createSurvey(id, subtestCount, dbUrl) {
-  let surveyHeader = [];
-  let questions = await dbQuery.getQuestionBySubtestId(id, dbUrl);
-  let sortedDoc = _.sortBy(questions, [id, 'order']);
-
-  for (doc of sortedDoc) {
-    surveyHeader.push({
-      header: `${doc.name}`,
-      key: `${doc.subtestId}.${doc.name}`
-    });
-  }
-  surveyHeader.push({
-    header: `timestamp_${subtestCount.timestampCount}`,
-    key: `${id}.timestamp_${subtestCount.timestampCount}`
-  });
-
-  return surveyHeader;
-}
-
-/**
- * This function creates headers for grid prototypes.
- *
- * @param {Object} doc - document to be processed.
- * @param {Object} subtestCount - count.
- *
- * @returns {Array} - generated grid headers.
- */
-
-async function createGrid(doc, subtestCount) {
-  let count = subtestCount.gridCount;
-  let gridHeader = [];
-  let gridData = [doc];
-  let suffix = count > 0 ? `_${count}` : '';
-
-  for (sub of gridData) {
-    let subtestId = sub._id;
-    let variableName = sub.variableName;
-    variableName = variableName ? variableName : sub.name && sub.name.toLowerCase().replace(/\s/g, '_');
-
-    // if no variable name break out of loop
-    if (!variableName) {
-      break;
-    }
-
-    gridHeader.push({
-      header: `${variableName}_auto_stop${suffix}`,
-      key: `${subtestId}.${variableName}_auto_stop${suffix}`
-    });
-    gridHeader.push({
-      header: `${variableName}_time_remain${suffix}`,
-      key: `${subtestId}.${variableName}_time_remain${suffix}`
-    });
-    gridHeader.push({
-      header: `${variableName}_capture_item_at_time${suffix}`,
-      key: `${subtestId}.${variableName}_capture_item_at_time${suffix}`
-    });
-    gridHeader.push({
-      header: `${variableName}_attempted${suffix}`,
-      key: `${subtestId}.${variableName}_attempted${suffix}`
-    });
-    gridHeader.push({
-      header: `${variableName}_time_intermediate_captured${suffix}`,
-      key: `${subtestId}.${variableName}_time_intermediate_captured${suffix}`
-    });
-    gridHeader.push({
-      header: `${variableName}_time_allowed${suffix}`,
-      key: `${subtestId}.${variableName}_time_allowed${suffix}`
-    });
-
-    let i; let items = sub.items;
-
-    for (i = 0; i < items.length; i++) {
-      let label = items[i];
-      gridHeader.push({
-        header: `${variableName}_${label}${suffix}`,
-        key: `${subtestId}.${variableName}_${label}${suffix}`
-      });
-    }
-    gridHeader.push({
-      header: `timestamp_${subtestCount.timestampCount}`,
-      key: `${subtestId}.timestamp_${subtestCount.timestampCount}`
-    });
-    subtestCount.timestampCount++;
-  }
-
-  return { gridHeader, timestampCount: subtestCount.timestampCount };
-}
-
-/**
- * This function creates headers for gps prototypes.
- *
- * @param {Object} doc - document to be processed.
- * @param {Object} subtestCount - count.
- *
- * @returns {Array} - generated gps headers.
- */
-
-function createGps(doc, subtestCount) {
-  let count = subtestCount.gpsCount;
-  let gpsHeader = [];
-  let suffix = count > 0 ? `_${count}` : '';
-
-  gpsHeader.push({ header: `latitude${suffix}`, key: `${doc._id}.latitude${suffix}` });
-  gpsHeader.push({ header: `longitude${suffix}`, key: `${doc._id}.longitude${suffix}` });
-  gpsHeader.push({ header: `accuracy${suffix}`, key: `${doc._id}.accuracy${suffix}` });
-  gpsHeader.push({ header: `altitude${suffix}`, key: `${doc._id}.altitude${suffix}` });
-  gpsHeader.push({ header: `altitudeAccuracy${suffix}`, key: `${doc._id}.altitudeAccuracy${suffix}` });
-  gpsHeader.push({ header: `heading${suffix}`, key: `${doc._id}.heading${suffix}` });
-  gpsHeader.push({ header: `speed${suffix}`, key: `${doc._id}.speed${suffix}` });
-  gpsHeader.push({ header: `timestamp_${subtestCount.timestampCount}`, key: `${doc._id}.timestamp_${subtestCount.timestampCount}` });
-
-  return gpsHeader;
-}
-
-/**
- * This function creates headers for camera prototypes.
- *
- * @param {Object} body - document to be processed.
- * @param {Object} subtestCount - count.
- *
- * @returns {Array} - generated camera headers.
- */
-
-function createCamera(doc, subtestCount) {
-  let count = subtestCount.cameraCount;
-  let cameraheader = [];
-  let varName = doc.variableName;
-  let suffix = count > 0 ? `_${count}` : '';
-
-  cameraheader.push({ header: `${varName}_photo_captured${suffix}`, key: `${doc.subtestId}.${varName}_photo_captured${suffix}` });
-  cameraheader.push({ header: `${varName}_photo_url${suffix}`, key: `${doc.subtestId}.${varName}_photo_url${suffix}` });
-  cameraheader.push({ header: `timestamp_${subtestCount.timestampCount}`, key: `${doc.subtestId}.timestamp_${subtestCount.timestampCount}` });
-
-  return cameraheader;
-}
-
 exports.createColumnHeaders = createColumnHeaders;
@@ -17,11 +17,14 @@ const nano = require('nano');
 
 const dbConfig = require('./../config');
 const dbQuery = require('./../utils/dbQuery');
+const createWorkQueue = require('./../utils/workQueue').createWorkQueue;
+const checkpoints = require('./../utils/checkpoint');
 const generateAssessmentHeaders = require('./assessment').createColumnHeaders;
 const processAssessmentResult = require('./result').generateResult;
 const generateWorkflowHeaders = require('./workflow').createWorkflowHeaders;
 const processWorkflowResult = require('./trip').processWorkflowResult;
 const validateResult = require('./result').validateResult;
+const flagDuplicates = require('./duplicates').flagDuplicates;
 
 /**
  * Processes any recently changed document in the database based on its collection type.
@@ -56,19 +59,121 @@ const validateResult = require('./result').validateResult;
 exports.changes = async(req, res) => {
   const dbUrl = req.body.base_db || dbConfig.base_db;
   const resultDbUrl = req.body.result_db || dbConfig.result_db;
+
+  try {
+    const feed = await followChanges(dbUrl, resultDbUrl);
+    feed.on('error', (err) => res.send(err));
+  } catch (err) {
+    res.send(err);
+  }
+}
+
+/**
+ * This function follows the changes feed of the base database.
+ *
+ * The feed resumes from the sequence saved in the `last_update_sequence`
+ * document of the base database in the result database, see `utils/checkpoint`,
+ * so any backlog synced while the server was down is processed at startup.
+ *
+ * Changes are handed to a work queue which processes changes of the same
+ * document in order, retries failures with a backoff and dead-letters
+ * documents that keep failing. The feed is paused while the queue is full
+ * and the checkpoint only moves past a change once it and every change
+ * before it have settled.
+ *
+ * @param {string} dbUrl - base database url.
+ * @param {string} resultDbUrl - result database url.
+ *
+ * @returns {Object} - the changes feed.
+ */
+
+const followChanges = async(dbUrl, resultDbUrl) => {
   const BASE_DB = nano(dbUrl);
-  const feed = BASE_DB.follow({ since: 'now', include_docs: true });
+  const checkpointKey = checkpoints.getCheckpointKey(dbUrl);
+  const since = await checkpoints.getLastSequence(resultDbUrl, checkpointKey);
+  const feed = BASE_DB.follow({ since, include_docs: true });
+  const checkpoint = checkpoints.createCheckpoint(resultDbUrl, checkpointKey);
+
+  const queue = createWorkQueue((resp) => processChangedDocument(resp, dbUrl, resultDbUrl), {
+    concurrency: dbConfig.queue_concurrency,
+    limit: dbConfig.queue_limit,
+    maxRetries: dbConfig.queue_max_retries,
+    retryDelay: dbConfig.queue_retry_delay,
+    onDeadLetter: async(resp, err, attempts) => {
+      const saveResponse = await dbQuery.saveDeadLetter(resp, err, attempts, resultDbUrl);
+      console.error(`\n::: Document ${resp.id} failed ${attempts} times and was saved as ${saveResponse.id} :::\n`);
+    }
+  });
 
-  feed.on('change', async(resp) => {
-    feed.pause();
-    processChangedDocument(resp, dbUrl, resultDbUrl);
-    setTimeout(function() { feed.resume() }, 500);
+  queue.on('retry', (err, resp, attempts) => {
+    console.warn(`\n::: Attempt ${attempts} failed for document ${resp.id}, retrying :::\n`, err);
+  });
+  queue.on('error', (err) => console.error(err));
+  queue.on('settled', () => {
+    if (feed.is_paused && !queue.isFull()) {
+      feed.resume();
+    }
+  });
+
+  console.info(`\n::: Following changes from sequence ${since} :::\n`);
+
+  feed.on('change', (resp) => {
+    const entry = checkpoint.add(resp.seq);
+    queue.push(getQueueKey(resp.doc), resp).then(() => checkpoint.complete(entry));
+
+    if (queue.isFull()) {
+      feed.pause();
+    }
   });
 
-  feed.on('error', (err) => res.send(err));
   feed.follow();
+  return feed;
+}
+
+/**
+ * This function returns the key used to order changes in the work queue.
+ * Changes writing to the same document in the result database share a key.
+ *
+ * @param {Object} doc - changed document.
+ *
+ * @returns {string} - queue key.
+ */
+
+const getQueueKey = (doc) => {
+  if (doc.collection === 'result') {
+    return doc.workflowId ? doc.tripId : doc._id;
+  }
+  return doc.assessmentId || doc._id;
 }
 
+/**
+ * This function flags the suspected duplicates of a saved processed result.
+ * Failures are only logged, since the result itself has been saved.
+ *
+ * @param {string} id - processed result id.
+ * @param {string} resultDbUrl - result database url.
+ * @param {string} dbUrl - base database url.
+ */
+
+const checkDuplicates = async(id, resultDbUrl, dbUrl) => {
+  try {
+    const duplicates = await flagDuplicates(id, resultDbUrl, dbUrl);
+    if (duplicates.length) {
+      console.warn(`${id} is a suspected duplicate of ${duplicates.join(', ')}`);
+    }
+  } catch (err) {
+    console.error(`Could not check ${id} for duplicates: ${err.message || err}`);
+  }
+}
+
+/**
+ * This function processes a changed document based on its collection type.
+ *
+ * @param {Object} resp - change object from the changes feed.
+ * @param {string} dbUrl - base database url.
+ * @param {string} resultDbUrl - result database url.
+ */
+
 const processChangedDocument = async(resp, dbUrl, resultDbUrl) => {
   const assessmentId = resp.doc.assessmentId;
   const workflowId = resp.doc.workflowId;
@@ -86,14 +191,12 @@ const processChangedDocument = async(resp, dbUrl, resultDbUrl) => {
 
   if (isWorkflowIdSet && isResult) {
     console.info('\n<<<=== START PROCESSING WORKFLOW RESULT ===>>>\n');
-    dbQuery.getResults(resp.doc.tripId, dbUrl)
-      .then(async(data) => {
-        const workflowResult = await processWorkflowResult(data, dbUrl);
-        const saveResponse = await dbQuery.saveResult(workflowResult, resultDbUrl);
-        console.log(saveResponse);
-        console.info('\n<<<=== END PROCESSING WORKFLOW RESULT ===>>>\n');
-      })
-      .catch((err) => console.error(err));
+    const data = await dbQuery.getResults(resp.doc.tripId, dbUrl);
+    const workflowResult = await processWorkflowResult(data, dbUrl, resultDbUrl);
+    const saveResponse = await dbQuery.saveResult(workflowResult, resultDbUrl);
+    console.log(saveResponse);
+    await checkDuplicates(saveResponse.id, resultDbUrl, dbUrl);
+    console.info('\n<<<=== END PROCESSING WORKFLOW RESULT ===>>>\n');
   }
 
   if (!isWorkflowIdSet && isResult) {
@@ -104,9 +207,10 @@ const processChangedDocument = async(resp, dbUrl, resultDbUrl) => {
     let allTimestamps = _.sortBy(assessmentResult.indexKeys.timestamps);
 
     // Validate result from all subtest timestamps
-    let validationData = await validateResult(docId, groupTimeZone, dbUrl, allTimestamps);
+    let validationData = await validateResult(docId, groupTimeZone, dbUrl, allTimestamps, assessmentResult.indexKeys, resultDbUrl);
     assessmentResult.isValid = validationData.isValid;
     assessmentResult.isValidReason = validationData.reason;
+    _.assign(assessmentResult, validationData.gpsCheck);
     assessmentResult[`${docId}.start_time`] = validationData.startTime;
     assessmentResult[`${docId}.end_time`] = validationData.endTime;
 
@@ -115,16 +219,20 @@ const processChangedDocument = async(resp, dbUrl, resultDbUrl) => {
     assessmentResult.indexKeys.year = validationData.indexKeys.year;
     assessmentResult.indexKeys.month = validationData.indexKeys.month;
     assessmentResult.indexKeys.day = validationData.indexKeys.day;
+    assessmentResult.indexKeys.time = validationData.indexKeys.time;
+    assessmentResult.indexKeys.startTimestamp = validationData.indexKeys.startTimestamp;
+    assessmentResult.indexKeys.failedRules = validationData.failedRules;
 
     const saveResponse = await dbQuery.saveResult(assessmentResult, resultDbUrl);
     console.log(saveResponse);
+    await checkDuplicates(saveResponse.id, resultDbUrl, dbUrl);
     console.info('\n<<<=== END PROCESSING ASSESSMENT RESULT ===>>>\n');
   }
 
   if (isWorkflow) {
     console.info('\n<<<=== START PROCESSING WORKFLOW COLLECTION  ===>>>\n');
     const workflowHeaders = await generateWorkflowHeaders(resp.doc, dbUrl);
-    const saveResponse = await dbQuery.saveHeaders(workflowHeaders, workflowId, resultDbUrl);
+    const saveResponse = await dbQuery.saveHeaders(workflowHeaders, workflowId, resultDbUrl, { id: resp.doc._id, rev: resp.doc._rev });
     console.log(saveResponse);
     console.info('\n<<<=== END PROCESSING WORKFLOW COLLECTION ===>>>\n');
   }
@@ -132,7 +240,7 @@ const processChangedDocument = async(resp, dbUrl, resultDbUrl) => {
   if (isAssessment || isCurriculum || isQuestion || isSubtest) {
     console.info('\n<<<=== START PROCESSING ASSESSMENT or CURRICULUM or SUBTEST or QUESTION COLLECTION  ===>>>\n');
     const assessmentHeaders = await generateAssessmentHeaders(resp.doc, 0, dbUrl);
-    const saveResponse = await dbQuery.saveHeaders(assessmentHeaders, assessmentId, resultDbUrl);
+    const saveResponse = await dbQuery.saveHeaders(assessmentHeaders, assessmentId, resultDbUrl, { id: resp.doc._id, rev: resp.doc._rev });
     console.log(saveResponse);
     console.info('\n<<<=== END PROCESSING ASSESSMENT or CURRICULUM or SUBTEST or QUESTION COLLECTION ===>>>\n');
   }
@@ -140,3 +248,5 @@ const processChangedDocument = async(resp, dbUrl, resultDbUrl) => {
 }
 
 exports.processChangedDocument = processChangedDocument;
+
+exports.followChanges = followChanges;
@@ -0,0 +1,142 @@
+/**
+ * This file generates the codebook of a workflow or assessment export.
+ *
+ * Module: generateCodebook, generateCodebookFile
+ */
+
+/**
+ * Module dependencies.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Local dependencies.
+ */
+
+const dbQuery = require('./../utils/dbQuery');
+const dbConfig = require('./../config');
+const codebook = require('./../utils/codebook');
+const generateCSV = require('./generate_csv');
+const parseVersion = require('./headers').parseVersion;
+const parseValueMaps = require('./../prototypes/helpers').parseValueMaps;
+
+/**
+ * Define the content types of the codebook formats.
+ */
+
+const CONTENT_TYPES = {
+  json: 'application/json; charset=utf-8',
+  csv: 'text/csv; charset=utf-8',
+  tsv: 'text/tab-separated-values; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+/**
+ * Describes every export column of a workflow or assessment.
+ *
+ * Example:
+ *
+ *    GET /codebook/:id?format=csv&headerVersion=2
+ *
+ *  where id refers to the id of the workflow or assessment. The format is
+ *  json (the default), csv, tsv or xlsx, and the header version defaults to the latest.
+ *  `valueMaps` describes the coding of an export with value maps of its own.
+ *
+ * Response:
+ *
+ *  Returns one entry per export column, in column order.
+ *      [
+ *        {
+ *          "column": "q3",
+ *          "key": "b123.q3",
+ *          "assessment_id": "a1234567890",
+ *          "assessment_name": "Classroom Observation",
+ *          "subtest_id": "b123",
+ *          "subtest_name": "Lesson",
+ *          "prototype": "survey",
+ *          "question_prompt": "Is the teacher using the lesson plan?",
+ *          "option_labels": "1 = Yes; 0 = No",
+ *          "value_coding": "1 = checked; 0 = unchecked; . = not asked; 999 = skipped or logicSkipped; ...",
+ *          "description": "Answer value"
+ *        },
+ *        ...
+ *      ]
+ *
+ * @param req - HTTP request object
+ * @param res - HTTP response object
+ */
+
+exports.codebook = (req, res) => {
+  const format = req.query.format || 'json';
+  let headerVersion, valueMaps;
+
+  try {
+    codebook.getCodebookFormat(format);
+    headerVersion = parseVersion(req.query.headerVersion);
+    valueMaps = parseValueMaps(req.query.valueMaps);
+  } catch (err) {
+    return res.status(400).json({ message: err.message });
+  }
+
+  generateCodebook(req.params.id, dbConfig.result_db, dbConfig.base_db, headerVersion, valueMaps)
+    .then(async(entries) => {
+      if (format !== 'json') {
+        res.attachment(`${req.params.id}_codebook.${format}`);
+      }
+      res.type(CONTENT_TYPES[format]);
+      await codebook.writeCodebook(entries, format, res);
+    })
+    .catch((err) => res.headersSent ? res.destroy() : res.status(err.statusCode || 500).json({ message: err.message || err.reason || err }));
+}
+
+/**
+ * This function describes every export column of a workflow or assessment.
+ *
+ * @param {string} id - workflow or assessment id.
+ * @param {string} resultDbUrl - result database url.
+ * @param {string} baseDbUrl - base database url.
+ * @param {number} headerVersion - header version, the latest if not given.
+ * @param {Object} valueMaps - value maps overriding those of the group.
+ *
+ * @returns {Array} - codebook entries, see `utils/codebook`.
+ */
+
+const generateCodebook = async function(id, resultDbUrl, baseDbUrl, headerVersion, valueMaps) {
+  const headerDoc = await dbQuery.retrieveHeaders(id, resultDbUrl, headerVersion);
+  const fallbackColumns = await dbQuery.getFallbackColumns(id, resultDbUrl);
+  const columns = generateCSV.getExportColumns(headerDoc.column_headers || [], fallbackColumns);
+  const description = await generateCSV.describeExport(headerDoc, columns, { baseDbUrl, valueMaps });
+
+  return description.entries;
+}
+
+/**
+ * This function creates a codebook file in the export directory.
+ *
+ * @param {string} id - workflow or assessment id.
+ * @param {Object} options - codebook options.
+ * @param {string} options.format - json, csv, tsv or xlsx. Defaults to json.
+ * @param {string} options.outputDir - directory the file is written to.
+ * @param {number} options.headerVersion - header version, the latest if not given.
+ * @param {Object} options.valueMaps - value maps overriding those of the group.
+ *
+ * @returns {string} - absolute path of the generated file.
+ */
+
+const generateCodebookFile = async function(id, options = {}) {
+  const format = codebook.getCodebookFormat(options.format || 'json');
+  const entries = await generateCodebook(id, dbConfig.result_db, dbConfig.base_db, options.headerVersion, options.valueMaps);
+  const workflowName = await generateCSV.getWorkflowName(id, dbConfig.base_db);
+  const name = String(workflowName).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+  const filepath = path.join(generateCSV.getOutputDir(options.outputDir), `${name || id}_codebook.${format}`);
+
+  await codebook.writeCodebook(entries, format, fs.createWriteStream(filepath, 'utf8'));
+
+  return filepath;
+}
+
+exports.generateCodebook = generateCodebook;
+
+exports.generateCodebookFile = generateCodebookFile;
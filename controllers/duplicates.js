@@ -0,0 +1,305 @@
+/**
+ * This file detects and reports suspected duplicate observations, such as
+ * a school observed twice by the same enumerator or a trip synced twice
+ * under different ids.
+ *
+ * Module: flagDuplicates, detectDuplicates, generateDuplicateReport
+ */
+
+/**
+ * Module dependencies.
+ */
+
+const _ = require('lodash');
+
+/**
+ * Local dependencies.
+ */
+
+const dbQuery = require('./../utils/dbQuery');
+const dbConfig = require('./../config');
+const getExportFilter = require('./../utils/exportFilter').getExportFilter;
+
+/**
+ * Define the default time window, in minutes, within which matching observations are suspected duplicates.
+ */
+
+const DEFAULT_WINDOW_MINUTES = 60;
+
+/**
+ * Reports the suspected duplicate observations of a workflow or assessment.
+ *
+ * Example:
+ *
+ *    GET /reports/duplicates/:id
+ *
+ *  where id refers to the id of the workflow or assessment.
+ *
+ * Response:
+ *
+ *  Returns the groups of observations suspected to duplicate each other,
+ *  earliest observation first, so a supervisor can decide which one to keep.
+ *      {
+ *        "id": "a1234567890",
+ *        "groups": [
+ *          [
+ *            {
+ *              "id": "r123",
+ *              "enumerator": "jdoe",
+ *              "startTime": "2018-01-08T09:30:00+03:00",
+ *              "location": { "county": "nairobi", "school": "olympic-primary" },
+ *              "participantId": "P1",
+ *              "isValid": true,
+ *              "updatedAt": "2018-01-08T10:02:11.000Z"
+ *            },
+ *            ...
+ *          ]
+ *        ]
+ *      }
+ *
+ * @param req - HTTP request object
+ * @param res - HTTP response object
+ */
+
+exports.report = (req, res) => {
+  generateDuplicateReport(req.params.id, dbConfig.result_db)
+    .then((report) => res.json(report))
+    .catch((err) => res.status(err.statusCode || 500).json({ message: err.message || err.reason || err }));
+}
+
+/**
+ * This function flags the suspected duplicates of a processed result, and flags
+ * the result on each of them. Results it was flagged with before that are no
+ * longer suspected duplicates drop their flag. It is run on every processed result.
+ *
+ * @param {string} id - processed result id.
+ * @param {string} resultDbUrl - result database url.
+ * @param {string} baseDbUrl - base database url, for the time window of the group.
+ *
+ * @returns {Array} - ids of the suspected duplicates.
+ */
+
+const flagDuplicates = async function(id, resultDbUrl, baseDbUrl) {
+  const doc = await dbQuery.retrieveDoc(id, resultDbUrl);
+  const observation = getObservation(doc);
+
+  if (!observation.enumerator || !observation.startTimestamp) {
+    return [];
+  }
+
+  const window = await getWindow(baseDbUrl) * 60 * 1000;
+  const rows = await dbQuery.getEnumeratorObservations(observation.enumerator,
+    observation.startTimestamp - window, observation.startTimestamp + window, resultDbUrl, true);
+  const duplicates = rows.filter((row) => row.id !== id && isDuplicate(observation, getObservation(row.doc), window));
+  const duplicateIds = _.map(duplicates, 'id').sort();
+
+  if (!isFlagged(getFlags(doc), duplicateIds)) {
+    await dbQuery.saveSuspectedDuplicates(id, duplicateIds, resultDbUrl);
+  }
+  for (let row of duplicates) {
+    let others = _.union(row.doc.suspected_duplicates || [], [id]).sort();
+    if (!isFlagged(getFlags(row.doc), others)) {
+      await dbQuery.saveSuspectedDuplicates(row.id, others, resultDbUrl);
+    }
+  }
+  for (let otherId of _.difference(doc.suspected_duplicates || [], duplicateIds)) {
+    let other = await dbQuery.retrieveDoc(otherId, resultDbUrl).catch((err) => {
+      if (err.statusCode !== 404) {
+        throw err;
+      }
+    });
+    if (other && (other.suspected_duplicates || []).indexOf(id) > -1) {
+      await dbQuery.saveSuspectedDuplicates(otherId, _.without(other.suspected_duplicates, id), resultDbUrl);
+    }
+  }
+  return duplicateIds;
+}
+
+/**
+ * This function flags the suspected duplicates of every processed result of a
+ * workflow or assessment again, e.g. after the time window has changed.
+ *
+ * @param {string} id - workflow or assessment id.
+ * @param {string} resultDbUrl - result database url.
+ * @param {string} baseDbUrl - base database url, for the time window of the group.
+ * @param {Object} options - detection options.
+ * @param {number} options.windowMinutes - time window replacing the one of the group.
+ *
+ * @returns {Object} - number of results `checked`, `flagged` as suspected duplicates and `updated`.
+ */
+
+const detectDuplicates = async function(id, resultDbUrl, baseDbUrl, options = {}) {
+  const windowMinutes = Number(options.windowMinutes) || await getWindow(baseDbUrl);
+  const window = windowMinutes * 60 * 1000;
+  const observations = [];
+  const duplicates = {};
+  let updated = 0;
+
+  await dbQuery.pageProcessedResults(getExportFilter({ workflowId: id }), resultDbUrl, (rows) => {
+    rows.forEach((row) => observations.push(_.assign(getObservation(row.doc), { flags: getFlags(row.doc) })));
+  }, dbConfig.export_page_size);
+
+  // compare each observation with the later ones of the same enumerator within the window.
+  _.forEach(_.groupBy(observations.filter((item) => item.enumerator && item.startTimestamp), 'enumerator'), (items) => {
+    items = _.sortBy(items, 'startTimestamp');
+    items.forEach((item, index) => {
+      for (let next = index + 1; next < items.length && items[next].startTimestamp - item.startTimestamp <= window; next++) {
+        if (isDuplicate(item, items[next], window)) {
+          duplicates[item.id] = (duplicates[item.id] || []).concat(items[next].id);
+          duplicates[items[next].id] = (duplicates[items[next].id] || []).concat(item.id);
+        }
+      }
+    });
+  });
+
+  for (let item of observations) {
+    let duplicateIds = (duplicates[item.id] || []).sort();
+    if (!isFlagged(item.flags, duplicateIds)) {
+      await dbQuery.saveSuspectedDuplicates(item.id, duplicateIds, resultDbUrl);
+      updated++;
+    }
+  }
+
+  return { checked: observations.length, flagged: _.size(duplicates), updated: updated, windowMinutes: windowMinutes };
+}
+
+/**
+ * This function groups the suspected duplicate observations of a workflow or assessment.
+ *
+ * @param {string} id - workflow or assessment id.
+ * @param {string} resultDbUrl - result database url.
+ *
+ * @returns {Object} - groups of observations suspected to duplicate each other.
+ */
+
+const generateDuplicateReport = async function(id, resultDbUrl) {
+  const flagged = {};
+
+  await dbQuery.pageProcessedResults(getExportFilter({ workflowId: id }), resultDbUrl, (rows) => {
+    rows.filter((row) => !_.isEmpty(row.doc.suspected_duplicates)).forEach((row) => {
+      flagged[row.id] = row.doc;
+    });
+  }, dbConfig.export_page_size);
+
+  // observations flagged together, directly or through another one, make up a group.
+  const groups = [];
+  const grouped = new Set();
+
+  _.keys(flagged).sort().forEach((docId) => {
+    if (grouped.has(docId)) {
+      return;
+    }
+    let group = [];
+    let pending = [docId];
+    while (pending.length) {
+      let next = pending.pop();
+      if (grouped.has(next) || !flagged[next]) {
+        continue;
+      }
+      grouped.add(next);
+      group.push(flagged[next]);
+      pending = pending.concat(flagged[next].suspected_duplicates);
+    }
+    groups.push(_.sortBy(group, 'start_timestamp'));
+  });
+
+  return {
+    id: id,
+    groups: _.sortBy(groups, (group) => group[0].start_timestamp).map((group) => group.map((doc) => ({
+      id: doc._id,
+      enumerator: doc.enumerator,
+      startTime: doc.processed_results[`${doc.parent_id}.start_time`],
+      location: doc.location,
+      participantId: doc.participant_id,
+      isValid: doc.processed_results.isValid,
+      updatedAt: doc.updated_at
+    })))
+  };
+}
+
+/**
+ * This function reads the fields observations are matched on from a processed result document.
+ *
+ * @param {Object} doc - processed result document.
+ *
+ * @returns {Object} - `{ id, parentId, enumerator, location, participantId, startTimestamp }`.
+ */
+
+function getObservation(doc) {
+  return {
+    id: doc._id,
+    parentId: doc.parent_id,
+    enumerator: doc.enumerator,
+    location: doc.location,
+    participantId: doc.participant_id,
+    startTimestamp: doc.start_timestamp
+  };
+}
+
+/**
+ * This function tells whether two observations are suspected duplicates: observations
+ * of the same workflow or assessment by the same enumerator, at the same location and
+ * with the same participant id, if any, that started within the time window.
+ *
+ * @param {Object} observation - observation, see `getObservation`.
+ * @param {Object} other - observation to compare with.
+ * @param {number} window - time window in milliseconds.
+ *
+ * @returns {boolean} - whether the observations are suspected duplicates.
+ */
+
+function isDuplicate(observation, other, window) {
+  return observation.parentId === other.parentId &&
+    observation.enumerator === other.enumerator &&
+    _.isEqual(observation.location || null, other.location || null) &&
+    (observation.participantId || null) === (other.participantId || null) &&
+    Math.abs(observation.startTimestamp - other.startTimestamp) <= window;
+}
+
+/**
+ * This function reads the suspected duplicates a processed result is flagged with,
+ * on its document and in its processed results.
+ *
+ * @param {Object} doc - processed result document.
+ *
+ * @returns {Object} - `{ ids, column }`, the ids and the comma separated column value.
+ */
+
+function getFlags(doc) {
+  return {
+    ids: doc.suspected_duplicates || [],
+    column: (doc.processed_results && doc.processed_results.suspectedDuplicates) || ''
+  };
+}
+
+/**
+ * This function tells whether the flags of a processed result are up to date.
+ *
+ * @param {Object} flags - flags of the result, see `getFlags`.
+ * @param {Array} duplicateIds - sorted ids of its suspected duplicates.
+ *
+ * @returns {boolean} - whether both flags list the suspected duplicates.
+ */
+
+function isFlagged(flags, duplicateIds) {
+  return _.isEqual(flags.ids, duplicateIds) && flags.column === duplicateIds.join(',');
+}
+
+/**
+ * This function reads the time window of the group, `duplicateWindowMinutes` in its settings document.
+ *
+ * @param {string} baseDbUrl - base database url.
+ *
+ * @returns {number} - time window in minutes.
+ */
+
+async function getWindow(baseDbUrl) {
+  const settings = await dbQuery.getSettings(baseDbUrl).catch(() => ({}));
+  return Number(settings.duplicateWindowMinutes) || DEFAULT_WINDOW_MINUTES;
+}
+
+exports.flagDuplicates = flagDuplicates;
+
+exports.detectDuplicates = detectDuplicates;
+
+exports.generateDuplicateReport = generateDuplicateReport;
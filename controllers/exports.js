@@ -0,0 +1,85 @@
+/**
+ * This file reports the status of export jobs and serves their files.
+ */
+
+/**
+ * Module dependencies.
+ */
+
+const path = require('path');
+
+/**
+ * Local dependencies.
+ */
+
+const exportJobs = require('./../utils/exportJobs');
+
+/**
+ * Retrieves the status of an export job.
+ *
+ * Example:
+ *
+ *    GET /exports/:jobId
+ *
+ *  where jobId refers to the id returned when the export was started.
+ *
+ * Response:
+ *
+ *  Returns the status and progress of the job.
+ *      {
+ *        "jobId": "3f2a9c1d0b8e7f64",
+ *        "status": "running",
+ *        "rowsWritten": 1500,
+ *        "totalRows": 4200,
+ *        "progress": 36,
+ *        "statusUrl": "/exports/3f2a9c1d0b8e7f64",
+ *        "downloadUrl": "/exports/3f2a9c1d0b8e7f64/download"
+ *      }
+ *
+ * @param req - HTTP request object
+ * @param res - HTTP response object
+ */
+
+exports.status = (req, res) => {
+  exportJobs.findJob(req.params.jobId)
+    .then((job) => {
+      if (!job) {
+        return res.status(404).json({ message: 'Export job not found or expired.' });
+      }
+      res.json(exportJobs.describeJob(job));
+    })
+    .catch((err) => res.status(err.statusCode || 500).json({ message: err.message || err.reason || err }));
+}
+
+/**
+ * Downloads the file of a completed export job.
+ *
+ * Example:
+ *
+ *    GET /exports/:jobId/download
+ *
+ *  where jobId refers to the id returned when the export was started.
+ *
+ * Response:
+ *
+ *  Returns the generated file, or the job status if the file is not ready.
+ *
+ * @param req - HTTP request object
+ * @param res - HTTP response object
+ */
+
+exports.download = (req, res) => {
+  exportJobs.findJob(req.params.jobId)
+    .then((job) => {
+      if (!job) {
+        return res.status(404).json({ message: 'Export job not found or expired.' });
+      }
+      if (job.status !== 'completed') {
+        return res.status(409).json(exportJobs.describeJob(job));
+      }
+
+      const filepath = path.resolve(job.filepath);
+      res.download(filepath, path.basename(filepath));
+    })
+    .catch((err) => res.status(err.statusCode || 500).json({ message: err.message || err.reason || err }));
+}
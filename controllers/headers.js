@@ -0,0 +1,186 @@
+/**
+ * This file lists and compares the versions of the column headers
+ * generated for a workflow or assessment.
+ *
+ * Module: getVersions, compareVersions
+ */
+
+/**
+ * Module dependencies.
+ */
+
+const _ = require('lodash');
+
+/**
+ * Local dependencies.
+ */
+
+const dbQuery = require('./../utils/dbQuery');
+const dbConfig = require('./../config');
+const diffHeaders = require('./../utils/headerDiff').diffHeaders;
+
+/**
+ * Lists the header versions of a workflow or assessment.
+ *
+ * Example:
+ *
+ *    GET /headers/:id/versions
+ *
+ *  where id refers to the id of the workflow or assessment.
+ *
+ * Response:
+ *
+ *  Returns the versions, oldest first.
+ *      [
+ *        {
+ *          "version": 1,
+ *          "createdAt": "2018-01-08T09:12:00.000Z",
+ *          "sourceId": "a1234567890",
+ *          "sourceRev": "3-b123",
+ *          "columnCount": 120
+ *        },
+ *        ...
+ *      ]
+ *
+ * @param req - HTTP request object
+ * @param res - HTTP response object
+ */
+
+exports.versions = (req, res) => {
+  getVersions(req.params.id, dbConfig.result_db)
+    .then((versions) => res.json(versions))
+    .catch((err) => res.status(err.statusCode || 500).json({ message: err.message || err.reason || err }));
+}
+
+/**
+ * Retrieves one header version of a workflow or assessment.
+ *
+ * Example:
+ *
+ *    GET /headers/:id/versions/:version
+ *
+ * Response:
+ *
+ *  Returns the header version document with its column headers.
+ *
+ * @param req - HTTP request object
+ * @param res - HTTP response object
+ */
+
+exports.version = (req, res) => {
+  let headerVersion;
+
+  try {
+    headerVersion = parseVersion(req.params.version);
+  } catch (err) {
+    return res.status(400).json({ message: err.message });
+  }
+
+  dbQuery.retrieveHeaders(req.params.id, dbConfig.result_db, headerVersion)
+    .then((doc) => res.json(doc))
+    .catch((err) => res.status(err.statusCode || 404).json({ message: err.message || err.reason || err }));
+}
+
+/**
+ * Compares two header versions of a workflow or assessment.
+ *
+ * Example:
+ *
+ *    GET /headers/:id/diff?from=1&to=2
+ *
+ *  Without versions, the latest version is compared with the one before it.
+ *
+ * Response:
+ *
+ *  Returns the columns added, removed, reordered and renamed between the versions.
+ *      {
+ *        "id": "a1234567890",
+ *        "from": 1,
+ *        "to": 2,
+ *        "added": [{ "header": "letters_z", "key": "b123.letters_z" }],
+ *        "removed": [],
+ *        "reordered": [{ "header": "gps_lat", "key": "b456.latitude", "from": 12, "to": 14 }],
+ *        "renamed": []
+ *      }
+ *
+ * @param req - HTTP request object
+ * @param res - HTTP response object
+ */
+
+exports.diff = (req, res) => {
+  compareVersions(req.params.id, dbConfig.result_db, req.query.from, req.query.to)
+    .then((diff) => res.json(diff))
+    .catch((err) => res.status(err.statusCode || 400).json({ message: err.message || err.reason || err }));
+}
+
+/**
+ * This function summarises the header versions of a workflow or assessment.
+ *
+ * @param {string} id - workflow or assessment id.
+ * @param {string} resultDbUrl - result database url.
+ *
+ * @returns {Array} - versions, oldest first.
+ */
+
+const getVersions = async function(id, resultDbUrl) {
+  const versions = await dbQuery.getHeaderVersions(id, resultDbUrl);
+
+  return versions.map((doc) => ({
+    version: doc.version,
+    createdAt: doc.created_at,
+    sourceId: doc.source_id,
+    sourceRev: doc.source_rev,
+    columnCount: _.size(doc.column_headers)
+  }));
+}
+
+/**
+ * This function compares two header versions of a workflow or assessment.
+ *
+ * @param {string} id - workflow or assessment id.
+ * @param {string} resultDbUrl - result database url.
+ * @param {number} from - older version, the one before `to` if not given.
+ * @param {number} to - newer version, the latest if not given.
+ *
+ * @returns {Object} - compared versions and their differences, see `utils/headerDiff`.
+ */
+
+const compareVersions = async function(id, resultDbUrl, from, to) {
+  const versions = await dbQuery.getHeaderVersions(id, resultDbUrl);
+  const toVersion = parseVersion(to) || _.get(_.last(versions), 'version');
+  const fromVersion = parseVersion(from) || toVersion - 1;
+  const fromDoc = _.find(versions, { version: fromVersion });
+  const toDoc = _.find(versions, { version: toVersion });
+
+  if (!fromDoc || !toDoc) {
+    throw new Error(`${id} has no header versions ${fromVersion} and ${toVersion} to compare.`);
+  }
+
+  return _.assign({ id: id, from: fromVersion, to: toVersion }, diffHeaders(fromDoc.column_headers, toDoc.column_headers));
+}
+
+/**
+ * This function reads a header version number.
+ * It throws when the version is not a positive whole number.
+ *
+ * @param {*} version - version number, e.g. `'2'`.
+ *
+ * @returns {number|undefined} - the version, if given.
+ */
+
+function parseVersion(version) {
+  if (version === undefined || version === null || version === '') {
+    return undefined;
+  }
+  const number = Number(version);
+  if (!Number.isInteger(number) || number < 1) {
+    throw new Error(`Invalid header version "${version}".`);
+  }
+  return number;
+}
+
+exports.getVersions = getVersions;
+
+exports.compareVersions = compareVersions;
+
+exports.parseVersion = parseVersion;
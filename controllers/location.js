@@ -0,0 +1,70 @@
+/**
+ * This file serves the location hierarchy used to filter exports.
+ */
+
+/**
+ * Module dependencies.
+ */
+
+const _ = require('lodash');
+
+/**
+ * Local dependencies.
+ */
+
+const dbConfig = require('./../config');
+const dbQuery = require('./../utils/dbQuery');
+const getLevelName = require('./../utils/exportFilter').getLevelName;
+
+/**
+ * Retrieves the location levels and the location tree of the group.
+ *
+ * Example:
+ *
+ *    GET /locations
+ *
+ * Response:
+ *
+ *  Returns the level names in order, as results are keyed on, and the locations as a tree.
+ *      {
+ *        "levels": ["county", "subcounty", "zone", "school"],
+ *        "locations": [
+ *          {
+ *            "id": "a1234567890",
+ *            "label": "Nairobi",
+ *            "children": [ ... ]
+ *          },
+ *          ...
+ *        ]
+ *      }
+ *
+ * @param req - HTTP request object
+ * @param res - HTTP response object
+ */
+
+exports.all = (req, res) => {
+  dbQuery.getLocationList(dbConfig.base_db)
+    .then((data) => {
+      res.json({
+        levels: _.uniq(_.compact((data.locationsLevels || []).map(getLevelName))),
+        locations: simplifyLocations(data.locations)
+      });
+    })
+    .catch((err) => res.status(err.statusCode || 500).json({ message: err.message || err.reason || err }));
+}
+
+/**
+ * This function turns the locations of the location list into a sorted tree.
+ *
+ * @param {Object} locations - locations keyed by id, with nested children.
+ *
+ * @returns {Array} - locations with their id, label and children.
+ */
+
+function simplifyLocations(locations) {
+  return _.sortBy(_.map(locations, (location, id) => ({
+    id: location.id || id,
+    label: location.label,
+    children: simplifyLocations(location.children)
+  })), 'label');
+}
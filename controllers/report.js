@@ -0,0 +1,494 @@
+/**
+ * This file reports enumerator productivity, builds payment sheets,
+ * summarizes gps checks and reports subtests of unsupported prototypes.
+ *
+ * Module: generateEnumeratorReport, generateGpsReport, generateFallbackReport
+ */
+
+/**
+ * Module dependencies.
+ */
+
+const _ = require('lodash');
+const fs = require('fs');
+const moment = require('moment');
+const path = require('path');
+
+/**
+ * Local dependencies.
+ */
+
+const dbQuery = require('./../utils/dbQuery');
+const dbConfig = require('./../config');
+const createWriter = require('./../utils/exportWriter').createWriter;
+const getFormat = require('./../utils/exportWriter').getFormat;
+const exportFilter = require('./../utils/exportFilter');
+const generateCSV = require('./generate_csv');
+const prototypes = require('./../prototypes');
+
+/**
+ * Define the payment sheet columns.
+ */
+
+const PAYMENT_COLUMNS = [
+  { header: 'mpesa_number', key: 'mPesaNumber', width: 16 },
+  { header: 'enumerator', key: 'enumerator', width: 20 },
+  { header: 'full_name', key: 'fullName', width: 24 },
+  { header: 'phone_number', key: 'phoneNumber', width: 16 },
+  { header: 'user_role', key: 'userRole', width: 12 },
+  { header: 'total', key: 'total', width: 8 },
+  { header: 'valid', key: 'valid', width: 8 },
+  { header: 'invalid', key: 'invalid', width: 8 },
+  { header: 'first_activity', key: 'firstActivity', width: 18 },
+  { header: 'last_activity', key: 'lastActivity', width: 18 }
+];
+
+/**
+ * Reports the productivity of each enumerator for a workflow or assessment.
+ *
+ * Example:
+ *
+ *    POST /reports/enumerators
+ *
+ *  The request object takes the same filters as an export.
+ *  With a format, the report is downloaded as a payment sheet.
+ *      {
+ *        "workflowId": "a1234567890",
+ *        "months": "2018-01",
+ *        "format": "xlsx"
+ *      }
+ *
+ * Response:
+ *
+ *  Returns one entry per enumerator, sorted by M-Pesa number.
+ *      [
+ *        {
+ *          "mPesaNumber": "254700000000",
+ *          "enumerator": "jdoe",
+ *          "fullName": "John Doe",
+ *          "phoneNumber": "0700000000",
+ *          "userRole": "CSO",
+ *          "total": 42,
+ *          "valid": 40,
+ *          "invalid": 2,
+ *          "firstActivity": "2018-01-08 09:12",
+ *          "lastActivity": "2018-01-31 14:40"
+ *        },
+ *        ...
+ *      ]
+ *
+ * @param req - HTTP request object
+ * @param res - HTTP response object
+ */
+
+exports.enumerators = (req, res) => {
+  const resultDbUrl = req.body.result_db || dbConfig.result_db;
+  let filter, format;
+
+  try {
+    filter = exportFilter.getExportFilter(req.body);
+    format = exportFilter.getFormValue(req.body.format);
+    if (format) {
+      getFormat(format);
+    }
+  } catch (err) {
+    return res.status(400).json({ message: err.message });
+  }
+  if (!filter.workflowId) {
+    return res.status(400).json({ message: 'A workflow id is required.' });
+  }
+
+  generateEnumeratorReport(filter, resultDbUrl)
+    .then(async(report) => {
+      if (!format) {
+        return res.json(report);
+      }
+      const workflowName = await generateCSV.getWorkflowName(filter.workflowId, dbConfig.base_db);
+      res.attachment(buildReportFilename(workflowName, filter, new Date(), format));
+      res.type(getFormat(format).contentType);
+      await writePaymentSheet(report, format, res);
+    })
+    .catch((err) => res.headersSent ? res.destroy() : res.status(500).json({ message: err.message || err }));
+}
+
+/**
+ * Summarizes the gps checks of each enumerator for a workflow or assessment,
+ * to find tablets used away from the schools they were meant to visit.
+ *
+ * Example:
+ *
+ *    POST /reports/gps
+ *
+ *  The request object takes the same filters as an export.
+ *      {
+ *        "workflowId": "a1234567890",
+ *        "months": "2018-01"
+ *      }
+ *
+ * Response:
+ *
+ *  Returns one entry per enumerator, most results out of range first,
+ *  with the results captured out of range.
+ *      [
+ *        {
+ *          "enumerator": "jdoe",
+ *          "fullName": "John Doe",
+ *          "total": 42,
+ *          "checked": 40,
+ *          "outOfRange": 3,
+ *          "lowAccuracy": 1,
+ *          "medianDistance": 85,
+ *          "maxDistance": 12400,
+ *          "outOfRangeResults": [
+ *            { "id": "r123", "location": { "county": "nairobi", "school": "olympic-primary" }, "distance": 12400 },
+ *            ...
+ *          ]
+ *        },
+ *        ...
+ *      ]
+ *
+ * @param req - HTTP request object
+ * @param res - HTTP response object
+ */
+
+exports.gps = (req, res) => {
+  const resultDbUrl = req.body.result_db || dbConfig.result_db;
+  let filter;
+
+  try {
+    filter = exportFilter.getExportFilter(req.body);
+  } catch (err) {
+    return res.status(400).json({ message: err.message });
+  }
+  if (!filter.workflowId) {
+    return res.status(400).json({ message: 'A workflow id is required.' });
+  }
+
+  generateGpsReport(filter, resultDbUrl)
+    .then((report) => res.json(report))
+    .catch((err) => res.status(500).json({ message: err.message || err }));
+}
+
+/**
+ * Reports the subtests of a workflow or assessment whose prototype is not supported.
+ *
+ * Example:
+ *
+ *    GET /reports/fallback/:id
+ *
+ *  where id refers to the id of the workflow or assessment.
+ *
+ * Response:
+ *
+ *  Returns the supported prototypes and every subtest that fell back to generic
+ *  columns or was skipped because none of its results had data.
+ *      {
+ *        "id": "a1234567890",
+ *        "supportedPrototypes": ["location", "datetime", ...],
+ *        "subtests": [
+ *          {
+ *            "subtestId": "b1234567890",
+ *            "name": "Reading recording",
+ *            "prototype": "audio",
+ *            "status": "fallback",
+ *            "columns": ["b1234567890.audio.url", "b1234567890.audio.timestamp"],
+ *            "results": 120
+ *          },
+ *          ...
+ *        ]
+ *      }
+ *
+ * @param req - HTTP request object
+ * @param res - HTTP response object
+ */
+
+exports.fallback = (req, res) => {
+  generateFallbackReport(req.params.id, dbConfig.base_db, dbConfig.result_db)
+    .then((report) => res.json(report))
+    .catch((err) => res.status(err.statusCode || 500).json({ message: err.message || err.reason || err }));
+}
+
+/**
+ * This function aggregates processed results per enumerator username, with the
+ * M-Pesa number, name, phone number and role of their most recent result.
+ *
+ * @param {Object} filter - export filter, see `utils/exportFilter`.
+ * @param {string} resultDbUrl - result database url.
+ *
+ * @returns {Array} - one entry per enumerator, sorted by M-Pesa number.
+ */
+
+const generateEnumeratorReport = async function(filter, resultDbUrl) {
+  const enumerators = {};
+
+  await dbQuery.pageProcessedResults(filter, resultDbUrl, (rows) => {
+    for (let row of rows) {
+      let result = row.doc.processed_results;
+      let prefix = row.doc.parent_id;
+      let name = getEnumerator(row.doc);
+      let activity = getActivity(row.doc);
+      let entry = enumerators[name];
+
+      if (!entry) {
+        entry = enumerators[name] = {
+          mPesaNumber: undefined,
+          enumerator: name,
+          fullName: undefined,
+          phoneNumber: undefined,
+          userRole: undefined,
+          total: 0,
+          valid: 0,
+          invalid: 0,
+          firstActivity: activity,
+          lastActivity: activity
+        };
+      }
+
+      // the profile of the most recent result wins, so a renamed user shows their current details.
+      if (!entry.total || (activity && (!entry.lastActivity || activity >= entry.lastActivity))) {
+        _.assign(entry, _.omitBy({
+          mPesaNumber: result[`${prefix}.mPesaNumber`],
+          fullName: result[`${prefix}.fullName`],
+          phoneNumber: result[`${prefix}.phoneNumber`],
+          userRole: result[`${prefix}.userRole`]
+        }, _.isNil));
+      }
+
+      entry.total++;
+      if (result.isValid === true) {
+        entry.valid++;
+      }
+      if (result.isValid === false) {
+        entry.invalid++;
+      }
+      if (activity && (!entry.firstActivity || activity < entry.firstActivity)) {
+        entry.firstActivity = activity;
+      }
+      if (activity && (!entry.lastActivity || activity > entry.lastActivity)) {
+        entry.lastActivity = activity;
+      }
+    }
+  }, dbConfig.export_page_size);
+
+  return _.sortBy(_.values(enumerators), [(entry) => entry.mPesaNumber || '', 'enumerator']);
+}
+
+/**
+ * This function aggregates the gps checks of processed results per enumerator,
+ * see `checkGps` in `controllers/result`. Results without a gps position or
+ * school coordinates are counted in `total` only.
+ *
+ * @param {Object} filter - export filter, see `utils/exportFilter`.
+ * @param {string} resultDbUrl - result database url.
+ *
+ * @returns {Array} - one entry per enumerator, most results out of range first.
+ */
+
+const generateGpsReport = async function(filter, resultDbUrl) {
+  const enumerators = {};
+
+  await dbQuery.pageProcessedResults(filter, resultDbUrl, (rows) => {
+    for (let row of rows) {
+      let result = row.doc.processed_results;
+      let prefix = row.doc.parent_id;
+      let name = getEnumerator(row.doc);
+      let distance = result[`${prefix}.gpsDistance`];
+      let entry = enumerators[name] = enumerators[name] || {
+        enumerator: name,
+        fullName: result[`${prefix}.fullName`],
+        total: 0,
+        checked: 0,
+        outOfRange: 0,
+        lowAccuracy: 0,
+        distances: [],
+        outOfRangeResults: []
+      };
+
+      entry.total++;
+      if (_.isNumber(distance)) {
+        entry.checked++;
+        entry.distances.push(distance);
+      }
+      if (result[`${prefix}.gpsOutOfRange`] === 1) {
+        entry.outOfRange++;
+        entry.outOfRangeResults.push({ id: row.id, location: row.doc.location, distance: distance });
+      }
+      if (result[`${prefix}.gpsLowAccuracy`] === 1) {
+        entry.lowAccuracy++;
+      }
+    }
+  }, dbConfig.export_page_size);
+
+  const report = _.values(enumerators).map((entry) => {
+    let distances = _.sortBy(entry.distances);
+    let middle = Math.floor(distances.length / 2);
+    let median = distances.length % 2 ? distances[middle] : (distances[middle - 1] + distances[middle]) / 2;
+
+    return {
+      enumerator: entry.enumerator,
+      fullName: entry.fullName,
+      total: entry.total,
+      checked: entry.checked,
+      outOfRange: entry.outOfRange,
+      lowAccuracy: entry.lowAccuracy,
+      medianDistance: distances.length ? Math.round(median) : undefined,
+      maxDistance: _.last(distances),
+      outOfRangeResults: _.sortBy(entry.outOfRangeResults, (item) => -item.distance)
+    };
+  });
+
+  return _.sortBy(report, [(entry) => -entry.outOfRange, 'enumerator']);
+}
+
+/**
+ * This function lists the subtests of a workflow or assessment handled by the generic prototype fallback,
+ * from its subtest documents and from its processed results.
+ *
+ * @param {string} id - workflow or assessment id.
+ * @param {string} baseDbUrl - base database url.
+ * @param {string} resultDbUrl - result database url.
+ *
+ * @returns {Object} - supported prototypes and the subtests that fell back or were skipped.
+ */
+
+const generateFallbackReport = async function(id, baseDbUrl, resultDbUrl) {
+  const doc = await dbQuery.retrieveDoc(id, baseDbUrl);
+  const assessmentIds = doc.children ? _.uniq(_.compact(_.map(doc.children, 'typesId'))) : [id];
+  const subtests = {};
+
+  for (let assessmentId of assessmentIds) {
+    let subtestDocs = await dbQuery.getSubtests(assessmentId, baseDbUrl);
+    _.filter(subtestDocs, (subtest) => !prototypes.getHandler(subtest.prototype)).forEach((subtest) => {
+      subtests[subtest._id] = {
+        subtestId: subtest._id,
+        name: subtest.name,
+        prototype: subtest.prototype,
+        assessmentId: assessmentId,
+        columns: [],
+        results: 0
+      };
+    });
+  }
+
+  for (let entry of await dbQuery.getFallbackColumns(id, resultDbUrl)) {
+    let subtest = subtests[entry.subtestId] = subtests[entry.subtestId] || {
+      subtestId: entry.subtestId,
+      prototype: entry.prototype,
+      columns: [],
+      results: 0
+    };
+    if (entry.column) {
+      subtest.columns.push(entry.column);
+    }
+    subtest.results = Math.max(subtest.results, entry.count);
+  }
+
+  return {
+    id: id,
+    supportedPrototypes: prototypes.getPrototypes(),
+    subtests: _.sortBy(_.values(subtests), ['prototype', 'subtestId']).map((subtest) => {
+      return _.assign(subtest, { status: subtest.columns.length ? 'fallback' : 'skipped' });
+    })
+  };
+}
+
+/**
+ * This function writes an enumerator report as a payment sheet.
+ *
+ * @param {Array} report - enumerator report.
+ * @param {string} format - export format.
+ * @param {Object} stream - writable stream.
+ *
+ * @returns {Promise} - resolves once the sheet has been written.
+ */
+
+const writePaymentSheet = async function(report, format, stream) {
+  const writer = createWriter(format, stream, PAYMENT_COLUMNS, { sheetName: 'Payments' });
+
+  for (let entry of report) {
+    await writer.addRow(entry);
+  }
+  return writer.commit();
+}
+
+/**
+ * This function creates a payment sheet file in the export directory.
+ *
+ * @param {Object} filter - export filter, see `utils/exportFilter`.
+ * @param {string} resultDbUrl - result database url.
+ * @param {Object} options - report options.
+ * @param {string} options.format - csv, tsv, jsonl or xlsx. Defaults to xlsx.
+ * @param {string} options.outputDir - directory the file is written to.
+ *
+ * @returns {string} - absolute path of the generated file.
+ */
+
+const generatePaymentSheet = async function(filter, resultDbUrl, options = {}) {
+  const format = options.format || 'xlsx';
+  getFormat(format);
+
+  const report = await generateEnumeratorReport(filter, resultDbUrl);
+  const workflowName = await generateCSV.getWorkflowName(filter.workflowId, dbConfig.base_db);
+  const filepath = path.join(generateCSV.getOutputDir(options.outputDir), buildReportFilename(workflowName, filter, new Date(), format));
+
+  await writePaymentSheet(report, format, fs.createWriteStream(filepath, 'utf8'));
+
+  return filepath;
+}
+
+/**
+ * This function builds the name of a payment sheet file.
+ *
+ * E.g. `classroom-observation-tool-payments_2018_jan_20180214-093000.xlsx`
+ *
+ * @param {string} workflowName - name of the workflow.
+ * @param {Object} filter - export filter.
+ * @param {Date} generatedAt - generation time.
+ * @param {string} format - export format.
+ *
+ * @returns {string} - file name.
+ */
+
+function buildReportFilename(workflowName, filter, generatedAt, format) {
+  return generateCSV.buildFilename(`${workflowName} payments`, exportFilter.describePeriod(filter), generatedAt, format);
+}
+
+/**
+ * This function reads the username of the enumerator of a processed result.
+ * Results processed before the username was kept fall back to the enumerator column.
+ *
+ * @param {Object} doc - processed result document.
+ *
+ * @returns {string} - enumerator username, or `unknown`.
+ */
+
+function getEnumerator(doc) {
+  return doc.enumerator || doc.processed_results[`${doc.parent_id}.enumerator`] || 'unknown';
+}
+
+/**
+ * This function reads the time of a processed result.
+ *
+ * @param {Object} doc - processed result document.
+ *
+ * @returns {string|undefined} - `YYYY-MM-DD HH:mm`, or `YYYY-MM-DD` when the time is unknown.
+ */
+
+function getActivity(doc) {
+  const month = exportFilter.MONTHS.indexOf(doc.result_month) + 1;
+  if (!doc.result_year || !month) {
+    return undefined;
+  }
+  const date = moment({ year: Number(doc.result_year), month: month - 1, day: Number(doc.result_day) || 1 });
+  return doc.result_time ? `${date.format('YYYY-MM-DD')} ${doc.result_time}` : date.format('YYYY-MM-DD');
+}
+
+exports.generateEnumeratorReport = generateEnumeratorReport;
+
+exports.generateGpsReport = generateGpsReport;
+
+exports.generateFallbackReport = generateFallbackReport;
+
+exports.generatePaymentSheet = generatePaymentSheet;
+
+exports.writePaymentSheet = writePaymentSheet;
@@ -0,0 +1,137 @@
+/**
+ * This file checks that the saved column headers of a workflow or
+ * assessment match the keys of its processed results.
+ *
+ * Module: reconcileHeaders
+ */
+
+/**
+ * Module dependencies.
+ */
+
+const _ = require('lodash');
+
+/**
+ * Local dependencies.
+ */
+
+const dbQuery = require('./../utils/dbQuery');
+const dbConfig = require('./../config');
+const getExportColumns = require('./generate_csv').getExportColumns;
+
+/**
+ * Define the default number of results compared with the headers.
+ */
+
+const DEFAULT_SAMPLE_SIZE = 100;
+
+/**
+ * Compares the column headers of a workflow or assessment with a sample of its processed results.
+ *
+ * Example:
+ *
+ *    GET /reports/schema/:id?sample=100
+ *
+ *  where id refers to the id of the workflow or assessment and sample
+ *  to the number of most recent results to check.
+ *
+ * Response:
+ *
+ *  Returns the values without a column and the columns without values.
+ *      {
+ *        "id": "a1234567890",
+ *        "headerCount": 120,
+ *        "sampleSize": 100,
+ *        "orphanValues": [
+ *          { "key": "b123.letters_a", "subtestId": "b123", "count": 100, "example": "1" }
+ *        ],
+ *        "emptyColumns": [
+ *          { "header": "letters_a", "key": "b123.letters_a_1", "subtestId": "b123" }
+ *        ]
+ *      }
+ *
+ * @param req - HTTP request object
+ * @param res - HTTP response object
+ */
+
+exports.reconcile = (req, res) => {
+  reconcileHeaders(req.params.id, dbConfig.result_db, { sampleSize: req.query.sample })
+    .then((report) => res.json(report))
+    .catch((err) => res.status(err.statusCode || 500).json({ message: err.message || err.reason || err }));
+}
+
+/**
+ * This function compares the export columns of a workflow or assessment
+ * with the keys of a sample of its processed results.
+ *
+ * Orphan values are keys found in results without a matching column,
+ * so their values never make it into exports. Empty columns are columns
+ * without a value in any of the sampled results.
+ *
+ * @param {string} id - workflow or assessment id.
+ * @param {string} resultDbUrl - result database url.
+ * @param {Object} options - check options.
+ * @param {number} options.sampleSize - number of most recent results to check.
+ *
+ * @returns {Object} - orphan values and empty columns.
+ */
+
+const reconcileHeaders = async function(id, resultDbUrl, options = {}) {
+  const sampleSize = parseInt(options.sampleSize, 10) || DEFAULT_SAMPLE_SIZE;
+  const headerDoc = await dbQuery.retrieveDoc(id, resultDbUrl);
+  const fallbackColumns = await dbQuery.getFallbackColumns(id, resultDbUrl);
+  const columns = getExportColumns(headerDoc.column_headers || [], fallbackColumns);
+  const results = await dbQuery.sampleProcessedResults(id, resultDbUrl, sampleSize);
+  const columnKeys = new Set(_.map(columns, 'key'));
+  const filledKeys = new Set();
+  const orphans = {};
+
+  for (let doc of results) {
+    _.forEach(doc.processed_results, (value, key) => {
+      if (isEmpty(value)) {
+        return;
+      }
+      filledKeys.add(key);
+      if (!columnKeys.has(key)) {
+        orphans[key] = orphans[key] || { key: key, subtestId: getSubtestId(key), count: 0, example: value };
+        orphans[key].count++;
+      }
+    });
+  }
+
+  return {
+    id: id,
+    headerCount: columns.length,
+    sampleSize: results.length,
+    orphanValues: _.sortBy(_.values(orphans), 'key'),
+    emptyColumns: results.length ? columns
+      .filter((column) => !filledKeys.has(column.key))
+      .map((column) => ({ header: column.header, key: column.key, subtestId: getSubtestId(column.key) })) : []
+  };
+}
+
+/**
+ * This function tells whether a result value is empty.
+ *
+ * @param {*} value - result value.
+ *
+ * @returns {boolean} - true for missing values and empty strings.
+ */
+
+function isEmpty(value) {
+  return value === undefined || value === null || value === '';
+}
+
+/**
+ * This function reads the subtest id, or the workflow or assessment id, a column key starts with.
+ *
+ * @param {string} key - column key, e.g. `b123.letters_a`.
+ *
+ * @returns {string|undefined} - e.g. `b123`.
+ */
+
+function getSubtestId(key) {
+  return key.indexOf('.') > -1 ? key.split('.')[0] : undefined;
+}
+
+exports.reconcileHeaders = reconcileHeaders;
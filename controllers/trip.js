@@ -55,7 +55,7 @@ exports.processResult = (req, res) => {
 
   dbQuery.getResults(tripId, dbUrl)
     .then(async(data) => {
-      const totalResult = await processWorkflowResult(data, dbUrl);
+      const totalResult = await processWorkflowResult(data, dbUrl, resultDbUrl);
       const saveResponse = await dbQuery.saveResult(totalResult, resultDbUrl);
       console.log(saveResponse);
       res.json(totalResult);
@@ -75,11 +75,12 @@ exports.processResult = (req, res) => {
  *
  * @param {Array} data - an array of workflow results.
  * @param {string} dbUrl - database url.
+ * @param {string} resultDbUrl - result database url, to compare with other observations.
  *
  * @returns {Object} - processed result for csv.
  */
 
-const processWorkflowResult = function (data, dbUrl) {
+const processWorkflowResult = function (data, dbUrl, resultDbUrl) {
   const tripPromise = () => data.map((item, index) => {
     let itemId = item.doc.workflowId ||item.doc.assessmentId ||item.doc.curriculumId;
     if (itemId != undefined) {
@@ -101,18 +102,32 @@ const processWorkflowResult = function (data, dbUrl) {
       .sortBy()
       .value();
 
+    result.indexKeys.ref = body[0].indexKeys.ref;
+    result.indexKeys.enumerator = body[0].indexKeys.enumerator;
+    result.indexKeys.gps = _.chain(body).map(el => el && el.indexKeys.gps).find().value();
+    result.indexKeys.school = _.chain(body).map(el => el && el.indexKeys.school).find().value();
+    result.indexKeys.participantId = _.chain(body).map(el => el && el.indexKeys.participantId).find().value();
+
     // Validate result from all subtest timestamps
-    let validationData = await validateResult(docId, groupTimeZone, dbUrl, allTimestamps);
+    let validationData = await validateResult(docId, groupTimeZone, dbUrl, allTimestamps, result.indexKeys, resultDbUrl);
     result.isValid = validationData.isValid;
     result.isValidReason = validationData.reason;
+    _.assign(result, validationData.gpsCheck);
     result[`${docId}.start_time`] = validationData.startTime;
     result[`${docId}.end_time`] = validationData.endTime;
 
-    result.indexKeys.ref = body[0].indexKeys.ref;
     result.indexKeys.parent_id = docId;
+    result.indexKeys.location = _.chain(body).map(el => el && el.indexKeys.location).find().value();
+    result.indexKeys.locationIds = _.chain(body).map(el => el && el.indexKeys.locationIds).find().value();
+    result.indexKeys.fallback = _.flatMap(body, el => el && el.indexKeys.fallback || []);
+    result.indexKeys.valueMaps = body[0].indexKeys.valueMaps;
+    result.indexKeys.valueStates = _.reduce(body, (states, el) => _.assign(states, el && el.indexKeys.valueStates), {});
     result.indexKeys.year = validationData.indexKeys.year;
     result.indexKeys.month = validationData.indexKeys.month;
     result.indexKeys.day = validationData.indexKeys.day;
+    result.indexKeys.time = validationData.indexKeys.time;
+    result.indexKeys.startTimestamp = validationData.indexKeys.startTimestamp;
+    result.indexKeys.failedRules = validationData.failedRules;
 
     body.push(result);
     body.forEach(element => (totalResult = Object.assign(totalResult, element)));
@@ -96,7 +96,7 @@ exports.generateHeader = (req, res) => {
   dbQuery.retrieveDoc(workflowId, dbUrl)
     .then(async(doc) => {
       let colHeaders = await createWorkflowHeaders(doc, dbUrl);
-      const saveResponse = await dbQuery.saveHeaders(colHeaders, workflowId, resultDbUrl);
+      const saveResponse = await dbQuery.saveHeaders(colHeaders, workflowId, resultDbUrl, { id: doc._id, rev: doc._rev });
       console.log(saveResponse);
       res.json(colHeaders);
     })
@@ -140,7 +140,7 @@ exports.generateAll = (req, res) => {
       for (item of data) {
         let workflowId = item.id;
         let generatedWorkflowHeaders = await createWorkflowHeaders(item.doc, dbUrl);
-        saveResponse = await dbQuery.saveHeaders(generatedWorkflowHeaders, workflowId, resultDbUrl);
+        saveResponse = await dbQuery.saveHeaders(generatedWorkflowHeaders, workflowId, resultDbUrl, { id: item.doc._id, rev: item.doc._rev });
         console.log(saveResponse);
       }
       res.json(saveResponse);
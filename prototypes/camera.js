@@ -0,0 +1,81 @@
+/**
+ * This file handles the camera prototype.
+ */
+
+/**
+ * Local dependencies.
+ */
+
+const helpers = require('./helpers');
+
+/**
+ * This function creates headers for camera prototypes.
+ *
+ * @param {Object} doc - document to be processed.
+ * @param {Object} subtestCount - count.
+ *
+ * @returns {Array} - generated camera headers.
+ */
+
+function createHeaders(doc, subtestCount) {
+  let cameraheader = [];
+  let varName = doc.variableName;
+  let suffix = helpers.getSuffix(subtestCount.cameraCount);
+
+  cameraheader.push({ header: `${varName}_photo_captured${suffix}`, key: `${doc.subtestId}.${varName}_photo_captured${suffix}` });
+  cameraheader.push({ header: `${varName}_photo_url${suffix}`, key: `${doc.subtestId}.${varName}_photo_url${suffix}` });
+  cameraheader.push({ header: `timestamp_${subtestCount.timestampCount}`, key: `${doc.subtestId}.timestamp_${subtestCount.timestampCount}` });
+
+  return cameraheader;
+}
+
+/**
+ * This function processes a camera prototype subtest data.
+ *
+ * @param {Object} body - document to be processed.
+ * @param {Object} subtestCount - count.
+ * @param {Object} context - group time zone.
+ *
+ * @returns {Object} processed camera data.
+ */
+
+function processResult(body, subtestCount, context) {
+  let cameraResult = {};
+  let varName = body.data.variableName;
+  let suffix = helpers.getSuffix(subtestCount.cameraCount);
+
+  cameraResult[`${body.subtestId}.${varName}_photo_captured${suffix}`] = body.data.imageBase64;
+  cameraResult[`${body.subtestId}.${varName}_photo_url${suffix}`] = body.data.imageBase64;
+  cameraResult[`${body.subtestId}.timestamp_${subtestCount.timestampCount}`] = helpers.formatTimestamp(body.timestamp, context.groupTimeZone);
+
+  return cameraResult;
+}
+
+/**
+ * This function describes camera columns for the codebook.
+ *
+ * @param {Object} subtest - subtest document.
+ * @param {Array} columns - column headers of the subtest.
+ *
+ * @returns {Array} - one description per column.
+ */
+
+function describeColumns(subtest, columns) {
+  return columns.map((column) => {
+    if (/_photo_captured(_\d+)?$/.test(column.key)) {
+      return { description: 'Captured photo, base64 encoded' };
+    }
+    if (/_photo_url(_\d+)?$/.test(column.key)) {
+      return { description: 'Captured photo, base64 encoded, for use as an image url' };
+    }
+    return {};
+  });
+}
+
+module.exports = {
+  prototype: 'camera',
+  counterKey: 'cameraCount',
+  createHeaders: createHeaders,
+  processResult: processResult,
+  describeColumns: describeColumns
+};
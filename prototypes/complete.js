@@ -0,0 +1,43 @@
+/**
+ * This file handles the complete prototype, which ends every assessment.
+ * It has no columns of its own and fills the end time of the assessment.
+ */
+
+/**
+ * Local dependencies.
+ */
+
+const helpers = require('./helpers');
+
+/**
+ * This function creates headers for complete prototypes.
+ * The end time column is part of the assessment headers.
+ *
+ * @returns {Array} - no headers.
+ */
+
+function createHeaders() {
+  return [];
+}
+
+/**
+ * This function processes a complete prototype subtest data.
+ *
+ * @param {Object} body - document to be processed.
+ * @param {Object} subtestCount - count.
+ * @param {Object} context - group time zone, collection id and assessment suffix.
+ *
+ * @returns {Object} processed end time.
+ */
+
+function processResult(body, subtestCount, context) {
+  return {
+    [`${context.collectionId}.end_time${context.assessmentSuffix}`]: helpers.formatTimestamp(body.data.end_time, context.groupTimeZone)
+  };
+}
+
+module.exports = {
+  prototype: 'complete',
+  createHeaders: createHeaders,
+  processResult: processResult
+};
@@ -0,0 +1,76 @@
+/**
+ * This file handles the consent prototype.
+ */
+
+/**
+ * Local dependencies.
+ */
+
+const helpers = require('./helpers');
+
+/**
+ * Define the codebook descriptions of the consent columns.
+ */
+
+const COLUMN_DESCRIPTIONS = {
+  consent: 'Consent answer as recorded by the enumerator'
+};
+
+/**
+ * This function creates headers for consent prototypes.
+ *
+ * @param {Object} doc - document to be processed.
+ * @param {Object} subtestCount - count.
+ *
+ * @returns {Array} - generated consent headers.
+ */
+
+function createHeaders(doc, subtestCount) {
+  let suffix = helpers.getSuffix(subtestCount.consentCount);
+  let consentHeader = [];
+
+  consentHeader.push({ header: `consent${suffix}`, key: `${doc._id}.consent${suffix}` });
+  consentHeader.push({ header: `timestamp_${subtestCount.timestampCount}`, key: `${doc._id}.timestamp_${subtestCount.timestampCount}` });
+
+  return consentHeader;
+}
+
+/**
+ * This function processes a consent prototype subtest data.
+ *
+ * @param {Object} body - document to be processed.
+ * @param {Object} subtestCount - count.
+ * @param {Object} context - group time zone.
+ *
+ * @returns {Object} processed consent data.
+ */
+
+function processResult(body, subtestCount, context) {
+  let suffix = helpers.getSuffix(subtestCount.consentCount);
+
+  return {
+    [`${body.subtestId}.consent${suffix}`]: body.data.consent,
+    [`${body.subtestId}.timestamp_${subtestCount.timestampCount}`]: helpers.formatTimestamp(body.timestamp, context.groupTimeZone)
+  };
+}
+
+/**
+ * This function describes consent columns for the codebook.
+ *
+ * @param {Object} subtest - subtest document.
+ * @param {Array} columns - column headers of the subtest.
+ *
+ * @returns {Array} - one description per column.
+ */
+
+function describeColumns(subtest, columns) {
+  return columns.map((column) => ({ description: COLUMN_DESCRIPTIONS[helpers.getColumnName(column, subtest._id)] }));
+}
+
+module.exports = {
+  prototype: 'consent',
+  counterKey: 'consentCount',
+  createHeaders: createHeaders,
+  processResult: processResult,
+  describeColumns: describeColumns
+};
@@ -0,0 +1,85 @@
+/**
+ * This file handles the datetime prototype.
+ */
+
+/**
+ * Local dependencies.
+ */
+
+const helpers = require('./helpers');
+
+/**
+ * Define the codebook descriptions of the datetime columns.
+ */
+
+const COLUMN_DESCRIPTIONS = {
+  year: 'Year of the assessment as entered by the enumerator',
+  month: 'Month of the assessment as entered by the enumerator',
+  day: 'Day of the assessment as entered by the enumerator',
+  assess_time: 'Time of the assessment as entered by the enumerator'
+};
+
+/**
+ * This function creates headers for datetime prototypes.
+ *
+ * @param {Object} doc - document to be processed.
+ * @param {Object} subtestCount - count.
+ *
+ * @returns {Array} - generated datetime headers.
+ */
+
+function createHeaders(doc, subtestCount) {
+  let suffix = helpers.getSuffix(subtestCount.datetimeCount);
+  let datetimeHeader = [];
+
+  datetimeHeader.push({ header: `year${suffix}`, key: `${doc._id}.year${suffix}` });
+  datetimeHeader.push({ header: `month${suffix}`, key: `${doc._id}.month${suffix}` });
+  datetimeHeader.push({ header: `day${suffix}`, key: `${doc._id}.day${suffix}` });
+  datetimeHeader.push({ header: `assess_time${suffix}`, key: `${doc._id}.assess_time${suffix}` });
+  datetimeHeader.push({ header: `timestamp_${subtestCount.timestampCount}`, key: `${doc._id}.timestamp_${subtestCount.timestampCount}` });
+
+  return datetimeHeader;
+}
+
+/**
+ * This function processes result for a datetime prototype.
+ *
+ * @param {Object} body - document to be processed.
+ * @param {Object} subtestCount - count.
+ * @param {Object} context - group time zone.
+ *
+ * @returns {Object} processed datetime data.
+ */
+
+function processResult(body, subtestCount, context) {
+  let suffix = helpers.getSuffix(subtestCount.datetimeCount);
+
+  return {
+    [`${body.subtestId}.year${suffix}`]: body.data.year,
+    [`${body.subtestId}.month${suffix}`]: body.data.month,
+    [`${body.subtestId}.day${suffix}`]: body.data.day,
+    [`${body.subtestId}.assess_time${suffix}`]: body.data.time,
+    [`${body.subtestId}.timestamp_${subtestCount.timestampCount}`]: helpers.formatTimestamp(body.timestamp, context.groupTimeZone)
+  };
+}
+
+/**
+ * This function describes datetime columns for the codebook.
+ *
+ * @param {Object} subtest - subtest document.
+ * @param {Array} columns - column headers of the subtest.
+ *
+ * @returns {Array} - one description per column.
+ */
+
+function describeColumns(subtest, columns) {
+  return columns.map((column) => ({ description: COLUMN_DESCRIPTIONS[helpers.getColumnName(column, subtest._id)] }));
+}
+
+module.exports = {
+  prototype: 'datetime',
+  counterKey: 'datetimeCount',
+  createHeaders: createHeaders,
+  processResult: processResult,
+  describeColumns: describeColumns
+};
@@ -0,0 +1,115 @@
+/**
+ * This file handles subtests whose prototype has no registered handler.
+ *
+ * Their data is flattened into columns namespaced by subtest and prototype,
+ * e.g. `<subtestId>.audio.recording.url`, instead of being dropped. Each
+ * fallback is recorded in `context.indexKeys.fallback` and saved with the
+ * processed result, so it can be reported per assessment and its columns
+ * added to exports.
+ */
+
+/**
+ * Module dependencies.
+ */
+
+const _ = require('lodash');
+
+/**
+ * Local dependencies.
+ */
+
+const helpers = require('./helpers');
+
+/**
+ * This function creates headers for a subtest with an unsupported prototype.
+ * Its columns depend on the data of its results, so they are added at export time.
+ *
+ * @param {Object} doc - subtest document.
+ *
+ * @returns {Array} - no headers.
+ */
+
+function createHeaders(doc) {
+  console.warn(`Unsupported prototype "${doc.prototype}" in subtest ${doc._id}, its columns are added from its results.`);
+  return [];
+}
+
+/**
+ * This function flattens the data of a subtest with an unsupported prototype.
+ *
+ * @param {Object} body - document to be processed.
+ * @param {Object} subtestCount - count.
+ * @param {Object} context - group time zone and index keys.
+ *
+ * @returns {Object} processed data, one column per value.
+ */
+
+function processResult(body, subtestCount, context) {
+  const prefix = `${body.subtestId}.${body.prototype}`;
+  const values = flatten(body.data);
+  const result = _.mapKeys(values, (value, path) => `${prefix}.${path}`);
+
+  if (!_.isEmpty(result)) {
+    result[`${prefix}.timestamp`] = helpers.formatTimestamp(body.timestamp, context.groupTimeZone);
+  }
+
+  context.indexKeys.fallback = context.indexKeys.fallback || [];
+  context.indexKeys.fallback.push({
+    subtestId: body.subtestId,
+    prototype: body.prototype,
+    name: body.name,
+    columns: _.keys(result)
+  });
+  console.warn(`Unsupported prototype "${body.prototype}" in subtest ${body.subtestId}, ` +
+    (_.isEmpty(result) ? 'it has no data to export.' : `exported as ${_.size(result)} generic columns.`));
+
+  return result;
+}
+
+/**
+ * This function flattens nested data into dotted paths.
+ * Lists of plain values are joined with commas.
+ *
+ * @param {*} data - subtest data.
+ * @param {string} path - path of the data.
+ * @param {Object} values - flattened values.
+ *
+ * @returns {Object} - values by path, e.g. `{ 'recording.url': '...' }`.
+ */
+
+function flatten(data, path = '', values = {}) {
+  if (_.isArray(data) && !data.some(_.isObject)) {
+    values[path || 'value'] = data.join(',');
+  } else if (_.isObject(data)) {
+    _.forEach(data, (value, key) => flatten(value, path ? `${path}.${key}` : String(key), values));
+  } else if (data !== undefined) {
+    values[path || 'value'] = data;
+  }
+  return values;
+}
+
+/**
+ * This function describes the generic columns of an unsupported prototype for the codebook.
+ *
+ * @param {Object} subtest - subtest document.
+ * @param {Array} columns - column headers of the subtest.
+ *
+ * @returns {Array} - one description per column.
+ */
+
+function describeColumns(subtest, columns) {
+  return columns.map((column) => {
+    let path = column.key.replace(`${subtest._id}.${subtest.prototype}.`, '');
+    if (path === 'timestamp') {
+      return { description: 'Date and time the subtest was completed, ISO 8601 in the group time zone' };
+    }
+    return { description: `Generic column of the unsupported "${subtest.prototype}" prototype, from the result data at "${path}"` };
+  });
+}
+
+module.exports = {
+  prototype: 'fallback',
+  createHeaders: createHeaders,
+  processResult: processResult,
+  describeColumns: describeColumns
+};
@@ -0,0 +1,108 @@
+/**
+ * This file handles the gps prototype.
+ */
+
+/**
+ * Module dependencies.
+ */
+
+const _ = require('lodash');
+
+/**
+ * Local dependencies.
+ */
+
+const geo = require('./../utils/geo');
+const helpers = require('./helpers');
+
+/**
+ * Define the codebook descriptions of the gps columns.
+ */
+
+const COLUMN_DESCRIPTIONS = {
+  latitude: 'Latitude in decimal degrees',
+  longitude: 'Longitude in decimal degrees',
+  accuracy: 'Accuracy of the position in meters',
+  altitude: 'Altitude in meters',
+  altitudeAccuracy: 'Accuracy of the altitude in meters',
+  heading: 'Direction of travel in degrees clockwise from north',
+  speed: 'Speed in meters per second'
+};
+
+/**
+ * This function creates headers for gps prototypes.
+ *
+ * @param {Object} doc - document to be processed.
+ * @param {Object} subtestCount - count.
+ *
+ * @returns {Array} - generated gps headers.
+ */
+
+function createHeaders(doc, subtestCount) {
+  let gpsHeader = [];
+  let suffix = helpers.getSuffix(subtestCount.gpsCount);
+
+  gpsHeader.push({ header: `latitude${suffix}`, key: `${doc._id}.latitude${suffix}` });
+  gpsHeader.push({ header: `longitude${suffix}`, key: `${doc._id}.longitude${suffix}` });
+  gpsHeader.push({ header: `accuracy${suffix}`, key: `${doc._id}.accuracy${suffix}` });
+  gpsHeader.push({ header: `altitude${suffix}`, key: `${doc._id}.altitude${suffix}` });
+  gpsHeader.push({ header: `altitudeAccuracy${suffix}`, key: `${doc._id}.altitudeAccuracy${suffix}` });
+  gpsHeader.push({ header: `heading${suffix}`, key: `${doc._id}.heading${suffix}` });
+  gpsHeader.push({ header: `speed${suffix}`, key: `${doc._id}.speed${suffix}` });
+  gpsHeader.push({ header: `timestamp_${subtestCount.timestampCount}`, key: `${doc._id}.timestamp_${subtestCount.timestampCount}` });
+
+  return gpsHeader;
+}
+
+/**
+ * This function processes a gps prototype subtest data.
+ * The position of the first gps subtest is kept in
+ * `context.indexKeys.gps`, used by the authenticity checks.
+ *
+ * @param {Object} doc - document to be processed.
+ * @param {Object} subtestCount - count.
+ * @param {Object} context - group time zone and index keys.
+ *
+ * @returns {Object} processed gps data.
+ */
+
+function processResult(doc, subtestCount, context) {
+  let gpsResult = {};
+  let suffix = helpers.getSuffix(subtestCount.gpsCount);
+
+  gpsResult[`${doc.subtestId}.latitude${suffix}`] = doc.data.lat;
+  gpsResult[`${doc.subtestId}.longitude${suffix}`] = doc.data.long;
+  gpsResult[`${doc.subtestId}.altitude${suffix}`] = doc.data.alt;
+  gpsResult[`${doc.subtestId}.accuracy${suffix}`] = doc.data.acc;
+  gpsResult[`${doc.subtestId}.altitudeAccuracy${suffix}`] = doc.data.altAcc;
+  gpsResult[`${doc.subtestId}.heading${suffix}`] = doc.data.heading;
+  gpsResult[`${doc.subtestId}.speed${suffix}`] = doc.data.speed;
+  gpsResult[`${doc.subtestId}.timestamp_${subtestCount.timestampCount}`] = helpers.formatTimestamp(doc.timestamp, context.groupTimeZone);
+
+  if (!context.indexKeys.gps && geo.getCoordinates(doc.data)) {
+    context.indexKeys.gps = _.assign(geo.getCoordinates(doc.data), { accuracy: doc.data.acc });
+  }
+
+  return gpsResult;
+}
+
+/**
+ * This function describes gps columns for the codebook.
+ *
+ * @param {Object} subtest - subtest document.
+ * @param {Array} columns - column headers of the subtest.
+ *
+ * @returns {Array} - one description per column.
+ */
+
+function describeColumns(subtest, columns) {
+  return columns.map((column) => ({ description: COLUMN_DESCRIPTIONS[helpers.getColumnName(column, subtest._id)] }));
+}
+
+module.exports = {
+  prototype: 'gps',
+  counterKey: 'gpsCount',
+  createHeaders: createHeaders,
+  processResult: processResult,
+  describeColumns: describeColumns
+};
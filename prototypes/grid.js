@@ -0,0 +1,250 @@
+/**
+ * This file handles the grid prototype.
+ *
+ * Items are processed in one of two grid modes, set by the `gridMode`
+ * of the group settings:
+ *
+ *    correct - items are coded as correct or incorrect (the default).
+ *    outcome - items keep their outcome, e.g. missing or skipped, and
+ *              items after the last attempted item are coded as not reached.
+ *
+ * Grids are scored with the rules of the group, see `./scoring`.
+ */
+
+/**
+ * Module dependencies.
+ */
+
+const _ = require('lodash');
+
+/**
+ * Local dependencies.
+ */
+
+const helpers = require('./helpers');
+const scoring = require('./scoring');
+
+/**
+ * Define the codebook descriptions of the grid columns that are not items, scores included.
+ */
+
+const COLUMN_DESCRIPTIONS = _.assign({
+  auto_stop: 'Whether the grid was stopped automatically after too many incorrect items',
+  time_remain: 'Seconds left on the timer when the grid was stopped',
+  capture_item_at_time: 'Whether an item was captured at the intermediate time',
+  last_attempted: 'Position of the last attempted item, 1 for the first item',
+  attempted: 'Last attempted item as recorded by the grid',
+  time_intermediate_captured: 'Seconds at which the intermediate item was captured',
+  time_allowed: 'Seconds allowed for the grid',
+  fluency_rate: 'Correct items divided by the share of the time allowed that was used, rounded, kept for older reports; blank when no time was used'
+}, scoring.METRIC_DESCRIPTIONS);
+
+/**
+ * This function creates headers for grid prototypes.
+ *
+ * @param {Object} sub - document to be processed.
+ * @param {Object} subtestCount - count.
+ * @param {Object} context - database url, scoring rules and assessment suffix.
+ *
+ * @returns {Array} - generated grid headers.
+ */
+
+function createHeaders(sub, subtestCount, context = {}) {
+  let suffix = helpers.getSuffix(subtestCount.gridCount);
+  let gridHeader = [];
+  let subtestId = sub._id;
+  let variableName = sub.variableName;
+  variableName = variableName ? variableName : sub.name && sub.name.toLowerCase().replace(/\s/g, '_');
+
+  // without a variable name there is nothing to export.
+  if (!variableName) {
+    return gridHeader;
+  }
+
+  gridHeader.push({
+    header: `${variableName}_auto_stop${suffix}`,
+    key: `${subtestId}.${variableName}_auto_stop${suffix}`
+  });
+  gridHeader.push({
+    header: `${variableName}_time_remain${suffix}`,
+    key: `${subtestId}.${variableName}_time_remain${suffix}`
+  });
+  gridHeader.push({
+    header: `${variableName}_capture_item_at_time${suffix}`,
+    key: `${subtestId}.${variableName}_capture_item_at_time${suffix}`
+  });
+  gridHeader.push({
+    header: `${variableName}_attempted${suffix}`,
+    key: `${subtestId}.${variableName}_attempted${suffix}`
+  });
+  gridHeader.push({
+    header: `${variableName}_time_intermediate_captured${suffix}`,
+    key: `${subtestId}.${variableName}_time_intermediate_captured${suffix}`
+  });
+  gridHeader.push({
+    header: `${variableName}_time_allowed${suffix}`,
+    key: `${subtestId}.${variableName}_time_allowed${suffix}`
+  });
+  gridHeader.push({
+    header: `${variableName}_last_attempted${suffix}`,
+    key: `${subtestId}.${variableName}_last_attempted${suffix}`
+  });
+
+  gridHeader.push({
+    header: `${variableName}_fluency_rate${suffix}`,
+    key: `${subtestId}.fluency_rate${context.assessmentSuffix || ''}`
+  });
+
+  let rule = scoring.getGridRule(context.scoringRules, subtestId, variableName);
+  for (let name of scoring.getScoreNames(rule)) {
+    gridHeader.push({
+      header: `${variableName}_${name}${suffix}`,
+      key: `${subtestId}.${variableName}_${name}${suffix}`
+    });
+  }
+
+  let i; let items = sub.items;
+
+  for (i = 0; i < items.length; i++) {
+    let label = items[i];
+    gridHeader.push({
+      header: `${variableName}_${label}${suffix}`,
+      key: `${subtestId}.${variableName}_${label}${suffix}`
+    });
+  }
+  gridHeader.push({
+    header: `timestamp_${subtestCount.timestampCount}`,
+    key: `${subtestId}.timestamp_${subtestCount.timestampCount}`
+  });
+
+  return gridHeader;
+}
+
+/**
+ * This function processes a grid prototype subtest data.
+ *
+ * @param {Object} body - document to be processed.
+ * @param {Object} subtestCount - count.
+ * @param {Object} context - group time zone, value maps, grid mode, scoring rules, assessment suffix and index keys.
+ *
+ * @returns {Object} processed grid data.
+ */
+
+function processResult(body, subtestCount, context) {
+  let varName = body.data.variable_name || body.name.toLowerCase().replace(/\s/g, '_');
+  let subtestId = body.subtestId;
+  let gridResult = {};
+  let suffix = helpers.getSuffix(subtestCount.gridCount);
+  let correctSum = 0;
+
+  gridResult[`${subtestId}.${varName}_auto_stop${suffix}`] = body.data.auto_stop;
+  gridResult[`${subtestId}.${varName}_time_remain${suffix}`] = body.data.time_remain;
+  gridResult[`${subtestId}.${varName}_capture_item_at_time${suffix}`] = body.data.capture_item_at_time;
+  gridResult[`${subtestId}.${varName}_attempted${suffix}`] = body.data.attempted;
+  gridResult[`${subtestId}.${varName}_time_intermediate_captured${suffix}`] = body.data.time_intermediate_captured;
+  gridResult[`${subtestId}.${varName}_time_allowed${suffix}`] = body.data.time_allowed;
+
+  let lastAttempted = getLastAttempted(body.data);
+  gridResult[`${subtestId}.${varName}_last_attempted${suffix}`] = lastAttempted;
+
+  body.data.items.forEach((doc, index) => {
+    let isCorrect = doc.itemResult === 'correct';
+    let outcome = isCorrect ? 'correct' : 'incorrect';
+
+    if (context.gridMode === 'outcome') {
+      outcome = lastAttempted !== undefined && index + 1 > lastAttempted ? 'notReached' : doc.itemResult;
+    }
+    gridResult[`${subtestId}.${varName}_${doc.itemLabel}${suffix}`] = helpers.translateGridValue(outcome, context.valueMaps && context.valueMaps.grid);
+    helpers.recordValueState(context.indexKeys, `${subtestId}.${varName}_${doc.itemLabel}${suffix}`, outcome, context.valueMaps ? context.valueMaps.grid : helpers.gridValueMap);
+    correctSum += isCorrect ? 1 : 0;
+  });
+
+  // left blank when no time was used, like the correct_per_minute score.
+  let timeAllowed = Number(body.data.time_allowed);
+  let timeUsed = timeAllowed - (Number(body.data.time_remain) || 0);
+  let fluencyRate = timeAllowed > 0 && timeUsed > 0 ? Math.round(correctSum / (timeUsed / timeAllowed)) : undefined;
+  gridResult[`${subtestId}.fluency_rate${context.assessmentSuffix || ''}`] = fluencyRate;
+
+  let rule = scoring.getGridRule(context.scoringRules, subtestId, varName);
+  let scores = scoring.scoreGrid(body.data, correctSum, getAttemptedCount(body.data, lastAttempted), rule);
+  _.forEach(scores, (score, name) => {
+    gridResult[`${subtestId}.${varName}_${name}${suffix}`] = score;
+  });
+  gridResult[`${subtestId}.timestamp_${subtestCount.timestampCount}`] = helpers.formatTimestamp(body.timestamp, context.groupTimeZone);
+
+  return gridResult;
+}
+
+/**
+ * This function finds the position of the last attempted item of a grid,
+ * from its `attempted` item number or else from its last item with a result.
+ *
+ * @param {Object} data - grid data.
+ *
+ * @returns {number|undefined} - position of the last attempted item, 1 for the first item.
+ */
+
+function getLastAttempted(data) {
+  const attempted = Number(data.attempted);
+  if (data.attempted !== null && data.attempted !== '' && Number.isInteger(attempted) && attempted >= 0) {
+    return attempted;
+  }
+  const lastIndex = _.findLastIndex(data.items, (item) => item.itemResult && item.itemResult !== 'missing');
+  return lastIndex < 0 ? undefined : lastIndex + 1;
+}
+
+/**
+ * This function counts the attempted items of a grid, up to the last attempted
+ * item, leaving out the items that were skipped or have no result.
+ *
+ * @param {Object} data - grid data.
+ * @param {number} lastAttempted - position of the last attempted item.
+ *
+ * @returns {number} - number of attempted items.
+ */
+
+function getAttemptedCount(data, lastAttempted) {
+  const items = data.items.slice(0, lastAttempted === undefined ? data.items.length : lastAttempted);
+  return items.filter((item) => item.itemResult === 'correct' || item.itemResult === 'incorrect').length;
+}
+
+/**
+ * This function describes grid columns for the codebook.
+ *
+ * @param {Object} subtest - subtest document.
+ * @param {Array} columns - column headers of the subtest.
+ * @param {Object} context - value maps and grid mode.
+ *
+ * @returns {Array} - one description per column.
+ */
+
+function describeColumns(subtest, columns, context) {
+  let items = subtest.items || [];
+  let valueMap = context.valueMaps ? context.valueMaps.grid : helpers.gridValueMap;
+
+  return columns.map((column) => {
+    let name = column.key.replace(`${subtest._id}.`, '');
+    let field = _.find(_.keys(COLUMN_DESCRIPTIONS), (field) => new RegExp(`(^|_)${field}(_\\d+)?$`).test(name));
+    if (field) {
+      return { description: COLUMN_DESCRIPTIONS[field] };
+    }
+    let item = _.find(items, (label) => new RegExp(`_${_.escapeRegExp(label)}(_\\d+)?$`).test(name));
+    if (item !== undefined) {
+      return {
+        valueMap: 'grid',
+        description: `Outcome of item "${item}"`,
+        valueCoding: context.gridMode === 'outcome' ? helpers.describeValueMap(valueMap) :
+          helpers.describeValueMap(_.pick(valueMap, ['correct', 'incorrect'])) + ' or any other outcome'
+      };
+    }
+    return {};
+  });
+}
+
+module.exports = {
+  prototype: 'grid',
+  counterKey: 'gridCount',
+  createHeaders: createHeaders,
+  processResult: processResult,
+  describeColumns: describeColumns
+};
@@ -0,0 +1,306 @@
+/**
+ * This file holds helpers shared by the prototype handlers.
+ */
+
+/**
+ * Module dependencies.
+ */
+
+const _ = require('lodash');
+const moment = require('moment-timezone');
+
+/**
+ * Define the default value maps for grid and survey values.
+ * Groups can change them in the `valueMaps` of their settings document.
+ */
+
+const gridValueMap = {
+  'correct': '1',
+  'incorrect': '0',
+  'missing': '.',
+  'skipped': '999',
+  'logicSkipped': '999',
+  'notReached': '888'
+};
+
+const surveyValueMap = {
+  'checked': '1',
+  'unchecked': '0',
+  'not asked': '.',
+  'skipped': '999',
+  'logicSkipped': '999'
+};
+
+/**
+ * Define the export value of a code that can not be recoded, see `recodeValue`.
+ */
+
+const AMBIGUOUS_VALUE = 'ambiguous';
+
+/**
+ * This function returns the value maps of a group, the defaults
+ * updated with the `valueMaps` of its settings and an export override.
+ *
+ * @param {Object} settings - group settings document.
+ * @param {Object} override - value maps of an export, see `parseValueMaps`.
+ *
+ * @returns {Object} - `{ grid, survey }` value maps.
+ */
+
+const getValueMaps = (settings = {}, override = {}) => {
+  const groupMaps = settings.valueMaps || {};
+
+  return {
+    grid: _.assign({}, gridValueMap, groupMaps.grid, override.grid),
+    survey: _.assign({}, surveyValueMap, groupMaps.survey, override.survey)
+  };
+}
+
+/**
+ * This function reads value maps given as an object or as JSON,
+ * e.g. `{ "grid": { "missing": "-99" }, "survey": { "skipped": "" } }`.
+ * It throws when they are not maps of result values to export values.
+ *
+ * @param {Object|string} input - value maps.
+ *
+ * @returns {Object|undefined} - value maps, if given.
+ */
+
+const parseValueMaps = (input) => {
+  if (input === undefined || input === null || input === '') {
+    return undefined;
+  }
+
+  let valueMaps = input;
+  if (_.isString(input)) {
+    try {
+      valueMaps = JSON.parse(input);
+    } catch (err) {
+      throw new Error(`Invalid value maps "${input}", they must be JSON.`);
+    }
+  }
+
+  const isValid = _.isPlainObject(valueMaps) && _.every(valueMaps, (valueMap, name) => {
+    return (name === 'grid' || name === 'survey') && _.isPlainObject(valueMap) &&
+      _.every(valueMap, (value) => value === null || _.isString(value) || _.isNumber(value));
+  });
+  if (!isValid) {
+    throw new Error('Invalid value maps, use e.g. { "grid": { "missing": "-99" }, "survey": { "skipped": "" } }.');
+  }
+  return valueMaps;
+}
+
+/**
+ * This function recodes an export value from one value map to another.
+ * Values that are not a code of the first map are kept. A code shared by
+ * several result values, e.g. `skipped` and `logicSkipped` both coded `999`,
+ * is recoded from the result value saved with it, see `recordValueState`.
+ * Without one it becomes `ambiguous` when the second map codes them differently.
+ *
+ * @param {*} value - export value.
+ * @param {Object} fromMap - value map the value was coded with.
+ * @param {Object} toMap - value map to code the value with.
+ * @param {string} state - result value the value was coded from, if saved.
+ *
+ * @returns {*} - recoded value.
+ */
+
+const recodeValue = (value, fromMap, toMap, state) => {
+  if (value === undefined || value === null) {
+    return value;
+  }
+  if (_.has(fromMap, state) && fromMap[state] !== null && String(fromMap[state]) === String(value)) {
+    return toMap[state];
+  }
+  const resultValues = _.keys(_.pickBy(fromMap, (code) => code !== null && String(code) === String(value)));
+  if (!resultValues.length) {
+    return value;
+  }
+  const codes = _.uniq(resultValues.map((resultValue) => toMap[resultValue]));
+  return codes.length > 1 ? AMBIGUOUS_VALUE : codes[0];
+}
+
+/**
+ * This function saves the result values of a column in the index keys of a result
+ * when one of them shares its code with another result value, so exports can
+ * recode the column exactly, see `recodeValue`. Several values are joined by
+ * commas, like the export value of a multiple choice question.
+ *
+ * @param {Object} indexKeys - index keys of the processed result.
+ * @param {string} key - column key.
+ * @param {*} databaseValues - result value, or the result values of a multiple choice question.
+ * @param {Object} valueMap - value map the values are coded with.
+ */
+
+const recordValueState = (indexKeys, key, databaseValues, valueMap) => {
+  const states = _.castArray(databaseValues).map((value) => value == null ? 'no_record' : String(value));
+  const isShared = (state) => _.has(valueMap, state) && valueMap[state] !== null &&
+    _.filter(valueMap, (code) => code !== null && String(code) === String(valueMap[state])).length > 1;
+
+  if (indexKeys && states.some(isShared)) {
+    indexKeys.valueStates = _.assign({}, indexKeys.valueStates, { [key]: states.join(',') });
+  }
+}
+
+/**
+ * This function returns the column suffix of the nth subtest of a prototype.
+ *
+ * @param {number} count - number of subtests of the same prototype before this one.
+ *
+ * @returns {string} - `''` for the first subtest, `_1`, `_2`... for the next ones.
+ */
+
+const getSuffix = (count) => count > 0 ? `_${count}` : '';
+
+/**
+ * This function returns the name of a column without its subtest id and suffix.
+ *
+ * @param {Object} column - column header, e.g. `{ header: 'latitude_1', key: 'b123.latitude_1' }`.
+ * @param {string} subtestId - subtest id.
+ *
+ * @returns {string} - e.g. `latitude`.
+ */
+
+const getColumnName = (column, subtestId) => {
+  return column.key.replace(`${subtestId}.`, '').replace(/_\d+$/, '');
+}
+
+/**
+ * This function describes how the values of a value map are coded in exports.
+ *
+ * @param {Object} valueMap - value map, e.g. `gridValueMap`.
+ *
+ * @returns {string} - e.g. `1 = correct; 0 = incorrect; 999 = skipped or logicSkipped`.
+ */
+
+const describeValueMap = (valueMap) => {
+  const codes = [];
+  const valuesByCode = {};
+
+  Object.keys(valueMap).forEach((value) => {
+    let code = valueMap[value] === null || valueMap[value] === '' ? 'empty' : valueMap[value];
+    if (!valuesByCode[code]) {
+      valuesByCode[code] = [];
+      codes.push(code);
+    }
+    valuesByCode[code].push(value);
+  });
+  return codes.map((code) => `${code} = ${valuesByCode[code].join(' or ')}`).join('; ');
+}
+
+/**
+ * Define the format of exported times, ISO 8601 with the offset of the group time zone.
+ */
+
+const TIMESTAMP_FORMAT = 'YYYY-MM-DDTHH:mm:ssZ';
+
+/**
+ * This function formats a subtest timestamp in the group time zone.
+ *
+ * @param {number} timestamp - subtest timestamp.
+ * @param {string} groupTimeZone - group time zone from db settings.
+ *
+ * @returns {string} - ISO 8601 date and time, e.g. `2018-01-08T09:35:00+03:00`.
+ */
+
+const formatTimestamp = (timestamp, groupTimeZone) => {
+  if (timestamp === undefined || timestamp === null || timestamp === '') {
+    return undefined;
+  }
+  return convertToTimeZone(timestamp, groupTimeZone).format(TIMESTAMP_FORMAT);
+}
+
+/**
+ * @description – This function converts a given timestamp
+ * to its equivalent in the given timeZone.
+ *
+ * The time zone is either an IANA name such as `Africa/Nairobi`, which
+ * follows daylight saving time, or a fixed UTC offset such as `+05:30`,
+ * `-0400` or `+3`. Timestamps are read as UTC without a time zone.
+ * It throws when the time zone is neither.
+ *
+ * @param {string} timestamp - instrument timestamp
+ * @param {string} timeZone - group time zone from db settings
+ *
+ * @returns {Object} - moment of the timestamp in the time zone.
+ */
+
+function convertToTimeZone (timestamp, timeZone) {
+  const time = moment(timestamp).utc();
+  if (!timeZone) {
+    return time;
+  }
+  if (moment.tz.zone(String(timeZone))) {
+    return time.tz(String(timeZone));
+  }
+
+  const offset = String(timeZone).trim().match(/^(?:UTC|GMT)?\s*([+-]?)(\d{1,2})(?::?(\d{2}))?$/i);
+  if (!offset || Number(offset[2]) > 14 || Number(offset[3] || 0) > 59) {
+    throw new Error(`Unknown time zone "${timeZone}". Use an IANA time zone such as "Africa/Nairobi" or an offset such as "+03:00".`);
+  }
+  return time.utcOffset(`${offset[1] || '+'}${_.padStart(offset[2], 2, '0')}:${offset[3] || '00'}`);
+}
+
+/**
+ * This function maps a value in a result doc to a
+ * value that will be represented in a csv file.
+ *
+ * @param {string} databaseValue - result value to be mapped.
+ * @param {Object} valueMap - survey value map of the group.
+ *
+ * @returns {string} - translated survey value.
+ */
+
+function translateSurveyValue(databaseValue, valueMap = surveyValueMap) {
+  if (databaseValue == null) {
+    databaseValue = 'no_record';
+  }
+  return _.has(valueMap, databaseValue) ? valueMap[databaseValue] : String(databaseValue);
+};
+
+/**
+ * This function maps a value in a result doc to a
+ * value that will be represented in a csv file.
+ *
+ * @param {string} databaseValue - result value to be mapped.
+ * @param {Object} valueMap - grid value map of the group.
+ *
+ * @returns {string} - translated grid value.
+ */
+
+function translateGridValue(databaseValue, valueMap = gridValueMap) {
+  if (databaseValue == null) {
+    databaseValue = 'no_record';
+  }
+  return _.has(valueMap, databaseValue) ? valueMap[databaseValue] : String(databaseValue);
+};
+
+exports.gridValueMap = gridValueMap;
+
+exports.surveyValueMap = surveyValueMap;
+
+exports.getValueMaps = getValueMaps;
+
+exports.parseValueMaps = parseValueMaps;
+
+exports.AMBIGUOUS_VALUE = AMBIGUOUS_VALUE;
+
+exports.recodeValue = recodeValue;
+
+exports.recordValueState = recordValueState;
+
+exports.getSuffix = getSuffix;
+
+exports.getColumnName = getColumnName;
+
+exports.describeValueMap = describeValueMap;
+
+exports.TIMESTAMP_FORMAT = TIMESTAMP_FORMAT;
+
+exports.formatTimestamp = formatTimestamp;
+
+exports.convertToTimeZone = convertToTimeZone;
+
+exports.translateSurveyValue = translateSurveyValue;
+
+exports.translateGridValue = translateGridValue;
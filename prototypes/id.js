@@ -0,0 +1,80 @@
+/**
+ * This file handles the id prototype.
+ */
+
+/**
+ * Local dependencies.
+ */
+
+const helpers = require('./helpers');
+
+/**
+ * Define the codebook descriptions of the id columns.
+ */
+
+const COLUMN_DESCRIPTIONS = {
+  id: 'Participant id as entered by the enumerator'
+};
+
+/**
+ * This function creates headers for id prototypes.
+ *
+ * @param {Object} doc - document to be processed.
+ * @param {Object} subtestCount - count.
+ *
+ * @returns {Array} - generated id headers.
+ */
+
+function createHeaders(doc, subtestCount) {
+  let suffix = helpers.getSuffix(subtestCount.idCount);
+  let idHeader = [];
+
+  idHeader.push({ header: `id${suffix}`, key: `${doc._id}.id${suffix}` });
+  idHeader.push({ header: `timestamp_${subtestCount.timestampCount}`, key: `${doc._id}.timestamp_${subtestCount.timestampCount}` });
+
+  return idHeader;
+}
+
+/**
+ * This function processes an id prototype subtest data.
+ * The participant id of the first id subtest is kept in
+ * `context.indexKeys.participantId`, used to detect duplicates.
+ *
+ * @param {Object} body - document to be processed.
+ * @param {Object} subtestCount - count.
+ * @param {Object} context - group time zone and index keys.
+ *
+ * @returns {Object} processed id data.
+ */
+
+function processResult(body, subtestCount, context) {
+  let suffix = helpers.getSuffix(subtestCount.idCount);
+
+  context.indexKeys.participantId = context.indexKeys.participantId || body.data.participant_id;
+
+  return {
+    [`${body.subtestId}.id${suffix}`]: body.data.participant_id,
+    [`${body.subtestId}.timestamp_${subtestCount.timestampCount}`]: helpers.formatTimestamp(body.timestamp, context.groupTimeZone)
+  };
+}
+
+/**
+ * This function describes id columns for the codebook.
+ *
+ * @param {Object} subtest - subtest document.
+ * @param {Array} columns - column headers of the subtest.
+ *
+ * @returns {Array} - one description per column.
+ */
+
+function describeColumns(subtest, columns) {
+  return columns.map((column) => ({ description: COLUMN_DESCRIPTIONS[helpers.getColumnName(column, subtest._id)] }));
+}
+
+module.exports = {
+  prototype: 'id',
+  counterKey: 'idCount',
+  createHeaders: createHeaders,
+  processResult: processResult,
+  describeColumns: describeColumns
+};
@@ -0,0 +1,183 @@
+/**
+ * This file keeps the registry of subtest prototype handlers.
+ *
+ * Each prototype registers one handler that both `createColumnHeaders`
+ * and `generateResult` use, so headers and results can not drift apart:
+ *
+ *    {
+ *      prototype: 'location',              // subtest prototype it handles
+ *      counterKey: 'locationCount',        // subtest counter for column suffixes, if any
+ *      createHeaders: (subtest, subtestCount, context) => [],   // column headers, may be async
+ *      processResult: (body, subtestCount, context) => ({}),    // column values, may be async
+ *      describeColumns: (subtest, columns, context) => []       // optional codebook descriptions, may be async
+ *    }
+ *
+ * Handlers with a counter key get their counter and the timestamp counter
+ * increased after each subtest. Custom handlers are loaded from the plugin
+ * directory and replace built-in handlers of the same prototype. Subtests of
+ * any other prototype are handled by the generic fallback in `./fallback`.
+ */
+
+/**
+ * Module dependencies.
+ */
+
+const _ = require('lodash');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Local dependencies.
+ */
+
+const dbConfig = require('./../config');
+
+/**
+ * Define the built-in handlers and the default plugin directory.
+ */
+
+const BUILT_IN_HANDLERS = [
+  require('./location'),
+  require('./datetime'),
+  require('./consent'),
+  require('./id'),
+  require('./survey'),
+  require('./grid'),
+  require('./gps'),
+  require('./camera'),
+  require('./complete')
+];
+
+const fallback = require('./fallback');
+
+const DEFAULT_PLUGIN_DIR = path.join(__dirname, '..', 'plugins', 'prototypes');
+
+const handlers = new Map();
+
+/**
+ * This function registers a prototype handler.
+ * It throws when the handler is incomplete.
+ *
+ * @param {Object} handler - prototype handler.
+ */
+
+const register = (handler) => {
+  if (!handler || !_.isString(handler.prototype) || !handler.prototype) {
+    throw new Error('A prototype handler needs a prototype name.');
+  }
+  if (!_.isFunction(handler.createHeaders) || !_.isFunction(handler.processResult)) {
+    throw new Error(`The "${handler.prototype}" prototype handler needs a createHeaders and a processResult function.`);
+  }
+  if (handler.describeColumns !== undefined && !_.isFunction(handler.describeColumns)) {
+    throw new Error(`The "${handler.prototype}" prototype handler has an invalid describeColumns function.`);
+  }
+  if (handler.counterKey !== undefined && (!_.isString(handler.counterKey) || handler.counterKey === 'timestampCount')) {
+    throw new Error(`The "${handler.prototype}" prototype handler has an invalid counter key.`);
+  }
+  handlers.set(handler.prototype, handler);
+}
+
+/**
+ * This function retrieves the handler of a prototype.
+ *
+ * @param {string} prototype - subtest prototype.
+ *
+ * @returns {Object|undefined} - the handler, if the prototype is supported.
+ */
+
+const getHandler = (prototype) => handlers.get(prototype);
+
+/**
+ * This function retrieves the handler of a prototype, or the generic fallback
+ * handler if the prototype is not supported.
+ *
+ * @param {string} prototype - subtest prototype.
+ *
+ * @returns {Object} - the handler.
+ */
+
+const resolveHandler = (prototype) => handlers.get(prototype) || fallback;
+
+/**
+ * This function lists the supported prototypes.
+ *
+ * @returns {Array} - prototype names.
+ */
+
+const getPrototypes = () => Array.from(handlers.keys());
+
+/**
+ * This function creates the subtest counters of all registered handlers.
+ *
+ * @returns {Object} - counters set to 0, e.g. `{ locationCount: 0, ..., timestampCount: 0 }`.
+ */
+
+const createSubtestCount = () => {
+  const subtestCount = {};
+  handlers.forEach((handler) => {
+    if (handler.counterKey) {
+      subtestCount[handler.counterKey] = 0;
+    }
+  });
+  subtestCount.timestampCount = 0;
+  return subtestCount;
+}
+
+/**
+ * This function updates the subtest counters after a subtest has been handled.
+ *
+ * @param {Object} handler - prototype handler.
+ * @param {Object} subtestCount - count.
+ */
+
+const countSubtest = (handler, subtestCount) => {
+  if (handler.counterKey) {
+    subtestCount[handler.counterKey] = (subtestCount[handler.counterKey] || 0) + 1;
+    subtestCount.timestampCount++;
+  }
+}
+
+/**
+ * This function registers the handlers of every `.js` file in a plugin directory.
+ * A plugin file exports one handler or an array of handlers.
+ *
+ * @param {string} dir - plugin directory.
+ *
+ * @returns {Array} - names of the registered prototypes.
+ */
+
+const loadPlugins = (dir) => {
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+
+  return _.flatMap(fs.readdirSync(dir).filter((file) => path.extname(file) === '.js').sort(), (file) => {
+    const plugin = require(path.resolve(dir, file));
+    const pluginHandlers = _.isArray(plugin) ? plugin : [plugin];
+
+    pluginHandlers.forEach((handler) => {
+      if (handlers.has(handler.prototype)) {
+        console.info(`Prototype plugin ${file} replaces the "${handler.prototype}" handler.`);
+      }
+      register(handler);
+    });
+    return pluginHandlers.map((handler) => handler.prototype);
+  });
+}
+
+BUILT_IN_HANDLERS.forEach(register);
+loadPlugins(dbConfig.prototype_plugin_dir || DEFAULT_PLUGIN_DIR);
+
+exports.register = register;
+
+exports.getHandler = getHandler;
+
+exports.resolveHandler = resolveHandler;
+
+exports.getPrototypes = getPrototypes;
+
+exports.createSubtestCount = createSubtestCount;
+
+exports.countSubtest = countSubtest;
+
+exports.loadPlugins = loadPlugins;
@@ -0,0 +1,302 @@
+/**
+ * This file handles the location prototype.
+ */
+
+/**
+ * Module dependencies.
+ */
+
+const _ = require('lodash');
+
+/**
+ * Local dependencies.
+ */
+
+const dbQuery = require('./../utils/dbQuery');
+const geo = require('./../utils/geo');
+const getLevelName = require('./../utils/exportFilter').getLevelName;
+const helpers = require('./helpers');
+
+/**
+ * Define the levels used when the location list has none, and how long the
+ * location list of a group is cached, in milliseconds.
+ */
+
+const DEFAULT_LEVELS = ['county', 'subcounty', 'zone', 'school'];
+
+const LOCATION_LIST_TTL = 60 * 1000;
+
+/**
+ * Define the location label formats, set in `locationLabelFormat` of the group settings.
+ *
+ *    original     - label as in the location list, e.g. `Olympic Primary` (default).
+ *    dashed       - whitespace replaced by dashes, e.g. `Olympic-Primary`.
+ *    lower-dashed - lower-cased with whitespace replaced by dashes, e.g. `olympic-primary`.
+ */
+
+const LABEL_FORMATS = {
+  original: (label) => label,
+  dashed: (label) => label.replace(/\s/g, '-'),
+  'lower-dashed': (label) => label.toLowerCase().replace(/\s/g, '-')
+};
+
+const locationLists = {};
+
+/**
+ * This function creates headers for location prototypes, an id and
+ * a label column per level of the `locationsLevels` of the location list.
+ *
+ * @param {Object} doc - document to be processed.
+ * @param {Object} subtestCount - count.
+ * @param {Object} context - database url.
+ *
+ * @returns {Array} - generated location headers.
+ */
+
+async function createHeaders(doc, subtestCount, context) {
+  let count = subtestCount.locationCount;
+  let locationHeader = [];
+  let locSuffix = helpers.getSuffix(count);
+  let locationList = await getLocationList(context.dbUrl);
+
+  getLevels(locationList, doc.levels).forEach((level) => {
+    locationHeader.push({ header: `${level}_id${locSuffix}`, key: `${doc._id}.${level}_id${locSuffix}` });
+    locationHeader.push({ header: `${level}${locSuffix}`, key: `${doc._id}.${level}${locSuffix}` });
+  });
+  locationHeader.push({ header: `timestamp_${subtestCount.timestampCount}`, key: `${doc._id}.timestamp_${subtestCount.timestampCount}` });
+
+  return locationHeader;
+}
+
+/**
+ * This function processes result for a location prototype.
+ * The location path of the first location subtest is kept in
+ * `context.indexKeys.location` and `context.indexKeys.locationIds`,
+ * used to filter exports, and the coordinates of the selected location,
+ * usually a school, in `context.indexKeys.school`, used by the
+ * authenticity and gps checks.
+ *
+ * @param {Object} body - document to be processed.
+ * @param {Object} subtestCount - count.
+ * @param {Object} context - group time zone, location label format, database url and index keys.
+ *
+ * @returns {Object} processed location data.
+ */
+
+async function processResult(body, subtestCount, context) {
+  let locationResult = {};
+  let locSuffix = helpers.getSuffix(subtestCount.locationCount);
+  let subtestId = body.subtestId;
+  let locationList = await getLocationList(context.dbUrl);
+  let levels = getLevels(locationList, body.data.labels);
+  let locations = getLocationName(body, locationList);
+  let formatLabel = getLabelFormat(context.locationLabelFormat);
+
+  levels.forEach((level) => {
+    let location = locations[level] || {};
+    locationResult[`${subtestId}.${level}_id${locSuffix}`] = location.id;
+    locationResult[`${subtestId}.${level}${locSuffix}`] = _.isNil(location.label) ? undefined : formatLabel(String(location.label));
+  });
+  locationResult[`${subtestId}.timestamp_${subtestCount.timestampCount}`] = helpers.formatTimestamp(body.timestamp, context.groupTimeZone);
+
+  if (!context.indexKeys.location) {
+    context.indexKeys.location = _.zipObject(levels, levels.map((level) => locationResult[`${subtestId}.${level}${locSuffix}`]));
+    context.indexKeys.locationIds = _.zipObject(levels, levels.map((level) => locationResult[`${subtestId}.${level}_id${locSuffix}`]));
+    context.indexKeys.school = geo.getCoordinates(_.last(_.compact(levels.map((level) => locations[level]))));
+  }
+
+  return locationResult;
+}
+
+/**
+ * @description – This function resolves the location selected in a location
+ * subtest to a location of the location list at each level, at any depth.
+ *
+ * Locations are selected either by their id path, in `data.location`, or by a
+ * `data.schoolId` with the labels of each level in `data.location`. Locations
+ * are found by id, so renamed locations get their current label. A path that
+ * skips a level, e.g. a zone selected right under its county, gets the skipped
+ * location from the tree. Ids that are no longer in the list are left out, and
+ * a school that is no longer in the list keeps the labels of the result.
+ *
+ * @param {object} body - subtest location details.
+ * @param {object} locationList - location list document.
+ *
+ * @returns {object} - location of each level, keyed by level, with its `id`, if known, and `label`.
+ */
+
+function getLocationName(body, locationList) {
+  let locNames = {};
+  let levels = getLevels(locationList, body.data.labels);
+  let hints = (body.data.labels || []).map(getLevelName);
+  let schoolId = body.data.schoolId;
+
+  if (schoolId) {
+    let path = findPath(locationList.locations, schoolId);
+    if (path) {
+      return assignLevels(path, levels, _.fill(Array(path.length - 1), undefined).concat(_.last(levels)));
+    }
+    hints.forEach((level, index) => {
+      let label = (body.data.location || [])[index];
+      if (levels.indexOf(level) > -1 && label) {
+        locNames[level] = { label: label };
+      }
+    });
+    locNames[_.last(levels)] = _.assign({ id: schoolId }, locNames[_.last(levels)]);
+    return locNames;
+  }
+
+  // walk the id path down the tree, filling in the locations of skipped levels.
+  let path = [];
+  let pathHints = [];
+  (body.data.location || []).forEach((id, index) => {
+    let parent = _.last(path);
+    let found = id && findPath(parent ? parent.children : locationList.locations, id);
+    if (found) {
+      path = path.concat(found);
+      pathHints = pathHints.concat(_.fill(Array(found.length - 1), undefined), hints[index]);
+    }
+  });
+
+  return assignLevels(path, levels, pathHints);
+}
+
+/**
+ * This function assigns the locations of a path to levels. A location takes the
+ * level it is known to be at, from its `level` or the label of the subtest level
+ * it was selected at, or else the level of its depth in the tree.
+ *
+ * @param {Array} path - locations from the top of the tree down.
+ * @param {Array} levels - location levels.
+ * @param {Array} hints - level each location of the path was selected at, if known.
+ *
+ * @returns {object} - location of each level, keyed by level.
+ */
+
+function assignLevels(path, levels, hints) {
+  let locNames = {};
+  let next = 0;
+
+  path.forEach((location, depth) => {
+    let known = [getLevelName(location.level), hints[depth]].find((level) => levels.indexOf(level) >= next);
+    let index = known ? levels.indexOf(known) : Math.max(depth, next);
+    if (index < levels.length) {
+      locNames[levels[index]] = _.omit(location, 'children');
+      next = index + 1;
+    }
+  });
+  return locNames;
+}
+
+/**
+ * This function finds a location of the location list by id, at any level.
+ *
+ * @param {Object} locations - locations keyed by id, each with their `children`.
+ * @param {string} id - location id.
+ *
+ * @returns {Array|undefined} - the location and its ancestors under `locations`, from the top down,
+ *   each with its `id`, if found.
+ */
+
+function findPath(locations, id) {
+  if (!locations) {
+    return undefined;
+  }
+  if (_.has(locations, id)) {
+    return [_.defaults({ id: id }, locations[id])];
+  }
+  for (let key of _.keys(locations)) {
+    let found = findPath(locations[key].children, id);
+    if (found) {
+      return [_.defaults({ id: key }, locations[key])].concat(found);
+    }
+  }
+  return undefined;
+}
+
+/**
+ * This function lists the location levels of the group, from the `locationsLevels`
+ * of the location list or else from the levels of the subtest.
+ *
+ * @param {Object} locationList - location list document.
+ * @param {Array} subtestLevels - levels or level labels of the subtest, if any.
+ *
+ * @returns {Array} - level names, e.g. `county` or `school`, see `getLevelName` in `utils/exportFilter`.
+ */
+
+function getLevels(locationList, subtestLevels) {
+  let levels = !_.isEmpty(locationList.locationsLevels) ? locationList.locationsLevels : subtestLevels;
+  return _.isEmpty(levels) ? DEFAULT_LEVELS : _.uniq(_.compact(levels.map(getLevelName)));
+}
+
+/**
+ * This function finds a location label format.
+ * It throws when the format is not supported.
+ *
+ * @param {string} format - location label format, see `LABEL_FORMATS`. Defaults to `original`.
+ *
+ * @returns {Function} - formats a label.
+ */
+
+function getLabelFormat(format) {
+  if (!LABEL_FORMATS[format || 'original']) {
+    throw new Error(`Unsupported location label format "${format}". Use one of: ${_.keys(LABEL_FORMATS).join(', ')}.`);
+  }
+  return LABEL_FORMATS[format || 'original'];
+}
+
+/**
+ * This function retrieves the location list of a group, cached for a minute
+ * so it is not fetched for every location subtest. A group without a location
+ * list gets an empty one.
+ *
+ * @param {string} dbUrl - base database url.
+ *
+ * @returns {Object} - location list document.
+ */
+
+function getLocationList(dbUrl) {
+  let cached = locationLists[dbUrl];
+  if (cached && Date.now() - cached.time < LOCATION_LIST_TTL) {
+    return cached.list;
+  }
+
+  let list = dbQuery.getLocationList(dbUrl).catch((err) => {
+    if (err.statusCode === 404) {
+      return {};
+    }
+    delete locationLists[dbUrl];
+    throw err;
+  });
+  locationLists[dbUrl] = { list: list, time: Date.now() };
+  return list;
+}
+
+/**
+ * This function describes location columns for the codebook.
+ *
+ * @param {Object} subtest - subtest document.
+ * @param {Array} columns - column headers of the subtest.
+ *
+ * @returns {Array} - one description per column.
+ */
+
+function describeColumns(subtest, columns) {
+  return columns.map((column) => {
+    let name = helpers.getColumnName(column, subtest._id);
+    let level = name.replace(/_id$/, '').replace(/_/g, ' ');
+
+    if (name === 'timestamp') {
+      return {};
+    }
+    return { description: /_id$/.test(name) ? `Id of the ${level} in the location list` : `Label of the ${level} from the location list, as set by the locationLabelFormat of the group` };
+  });
+}
+
+module.exports = {
+  prototype: 'location',
+  counterKey: 'locationCount',
+  createHeaders: createHeaders,
+  processResult: processResult,
+  describeColumns: describeColumns
+};
@@ -0,0 +1,165 @@
+/**
+ * This file scores grid subtests with the rules of the group.
+ *
+ * The rules are read from the `scoring` document of the group database:
+ *
+ *    {
+ *      "_id": "scoring",
+ *      "grids": {
+ *        "default": { "metrics": ["correct_per_minute", "percent_correct", "zero_score"] },
+ *        "letters": {
+ *          "autoStop": "elapsed",
+ *          "benchmarks": {
+ *            "metric": "correct_per_minute",
+ *            "bands": [
+ *              { "band": "non-reader", "below": 1 },
+ *              { "band": "emergent", "below": 40 },
+ *              { "band": "fluent" }
+ *            ]
+ *          }
+ *        }
+ *      }
+ *    }
+ *
+ * Grids are scored with the `default` rule merged with the rule named after
+ * their subtest id or variable name.
+ */
+
+/**
+ * Module dependencies.
+ */
+
+const _ = require('lodash');
+
+/**
+ * Define the grid metrics, their codebook descriptions and the default rule.
+ *
+ *    correct_per_minute - correct items per minute of the time used.
+ *    percent_correct    - correct items out of the attempted items, in percent.
+ *    zero_score         - 1 when no item is correct, else 0.
+ */
+
+const METRICS = ['correct_per_minute', 'percent_correct', 'zero_score'];
+
+const METRIC_DESCRIPTIONS = {
+  correct_per_minute: 'Correct items per minute of the time used, empty when no time was used',
+  percent_correct: 'Correct items out of the attempted items, in percent',
+  zero_score: '1 when no item is correct, else 0',
+  benchmark: 'Benchmark band of the grid score'
+};
+
+const DEFAULT_RULE = {
+  metrics: METRICS,
+  autoStop: 'elapsed',
+  benchmarks: undefined
+};
+
+/**
+ * This function finds the scoring rule of a grid.
+ * Unknown metrics are left out.
+ *
+ * @param {Object} rules - scoring document of the group.
+ * @param {string} subtestId - grid subtest id.
+ * @param {string} variableName - grid variable name.
+ *
+ * @returns {Object} - `metrics`, `autoStop` and `benchmarks` of the grid.
+ */
+
+function getGridRule(rules, subtestId, variableName) {
+  const grids = (rules && rules.grids) || {};
+  const rule = _.assign({}, DEFAULT_RULE, grids.default, grids[subtestId] || grids[variableName]);
+
+  rule.metrics = _.intersection(_.castArray(rule.metrics || []), METRICS);
+  if (!rule.benchmarks || !_.isArray(rule.benchmarks.bands) || !rule.benchmarks.bands.length) {
+    rule.benchmarks = undefined;
+  }
+  return rule;
+}
+
+/**
+ * This function lists the score columns of a grid, in column order.
+ *
+ * @param {Object} rule - scoring rule of the grid, see `getGridRule`.
+ *
+ * @returns {Array} - score column names, e.g. `correct_per_minute`.
+ */
+
+function getScoreNames(rule) {
+  return rule.benchmarks ? rule.metrics.concat('benchmark') : rule.metrics;
+}
+
+/**
+ * This function scores a grid.
+ *
+ * The time used is the time allowed less the time remaining. A grid that was
+ * stopped automatically is scored on the time used until it stopped, or as
+ * zero correct items per minute when the rule's `autoStop` is `zero`.
+ * Grids without a time used have no correct items per minute.
+ *
+ * @param {Object} data - grid data.
+ * @param {number} correct - number of correct items.
+ * @param {number} attempted - number of attempted items.
+ * @param {Object} rule - scoring rule of the grid, see `getGridRule`.
+ *
+ * @returns {Object} - score of each score column of the rule.
+ */
+
+function scoreGrid(data, correct, attempted, rule) {
+  const timeAllowed = Number(data.time_allowed);
+  const timeUsed = timeAllowed - (Number(data.time_remain) || 0);
+  const isAutoStopped = data.auto_stop === true || data.auto_stop === 'true';
+  const scores = {};
+
+  if (isAutoStopped && rule.autoStop === 'zero') {
+    scores.correct_per_minute = 0;
+  } else if (timeAllowed > 0 && timeUsed > 0) {
+    scores.correct_per_minute = round(correct / timeUsed * 60);
+  }
+  scores.percent_correct = attempted > 0 ? round(correct / attempted * 100) : undefined;
+  scores.zero_score = correct === 0 ? 1 : 0;
+
+  if (rule.benchmarks) {
+    scores.benchmark = getBand(scores[rule.benchmarks.metric || 'correct_per_minute'], rule.benchmarks.bands);
+  }
+  return _.pick(scores, getScoreNames(rule));
+}
+
+/**
+ * This function finds the benchmark band of a score.
+ * Bands are checked in order, the first band the score is below wins.
+ *
+ * @param {number} score - grid score.
+ * @param {Array} bands - `{ band, below }` bands, the last one usually without `below`.
+ *
+ * @returns {string|undefined} - band name, if the score falls in one.
+ */
+
+function getBand(score, bands) {
+  if (score === undefined) {
+    return undefined;
+  }
+  const band = _.find(bands, (band) => band.below === undefined || band.below === null || score < Number(band.below));
+  return band && band.band;
+}
+
+/**
+ * This function rounds a score to one decimal.
+ *
+ * @param {number} value - score.
+ *
+ * @returns {number} - rounded score.
+ */
+
+function round(value) {
+  return Math.round(value * 10) / 10;
+}
+
+exports.METRICS = METRICS;
+
+exports.METRIC_DESCRIPTIONS = METRIC_DESCRIPTIONS;
+
+exports.getGridRule = getGridRule;
+
+exports.getScoreNames = getScoreNames;
+
+exports.scoreGrid = scoreGrid;
@@ -0,0 +1,135 @@
+/**
+ * This file handles the survey prototype.
+ */
+
+/**
+ * Module dependencies.
+ */
+
+const _ = require('lodash');
+
+/**
+ * Local dependencies.
+ */
+
+const dbQuery = require('./../utils/dbQuery');
+const helpers = require('./helpers');
+
+/**
+ * This function creates headers for survey prototypes.
+ *
+ * @param {Object} subtest - document to be processed.
+ * @param {Object} subtestCount - count.
+ * @param {Object} context - database url.
+ *
+ * @returns {Array} - generated survey headers.
+ */
+
+async function createHeaders(subtest, subtestCount, context) {
+  let id = subtest._id;
+  let surveyHeader = [];
+  let questions = await dbQuery.getQuestionBySubtestId(id, context.dbUrl);
+  let sortedDoc = _.sortBy(questions, [id, 'order']);
+
+  for (let doc of sortedDoc) {
+    surveyHeader.push({
+      header: `${doc.name}`,
+      key: `${doc.subtestId}.${doc.name}`
+    });
+  }
+  surveyHeader.push({
+    header: `timestamp_${subtestCount.timestampCount}`,
+    key: `${id}.timestamp_${subtestCount.timestampCount}`
+  });
+
+  return surveyHeader;
+}
+
+/**
+ * This function processes a survey prototype subtest data.
+ *
+ * @param {Object} body - document to be processed.
+ * @param {Object} subtestCount - count.
+ * @param {Object} context - group time zone, value maps and index keys.
+ *
+ * @returns {Object} processed survey data.
+ */
+
+function processResult(body, subtestCount, context) {
+  let surveyResult = {};
+  let response = [];
+  let states = [];
+  let valueMap = context.valueMaps ? context.valueMaps.survey : helpers.surveyValueMap;
+
+  for (let doc in body.data) {
+    if (typeof body.data[doc] === 'object') {
+      for (let item in body.data[doc]) {
+        let surveyValue = helpers.translateSurveyValue(body.data[doc][item], context.valueMaps && context.valueMaps.survey);
+        response.push(surveyValue);
+        states.push(body.data[doc][item]);
+        surveyResult[`${body.subtestId}.${doc}`] = response.join(',');
+      }
+      helpers.recordValueState(context.indexKeys, `${body.subtestId}.${doc}`, states, valueMap);
+    } else {
+      let value = helpers.translateSurveyValue(body.data[doc], context.valueMaps && context.valueMaps.survey);
+      surveyResult[`${body.subtestId}.${doc}`] = value;
+      helpers.recordValueState(context.indexKeys, `${body.subtestId}.${doc}`, body.data[doc], valueMap);
+    }
+  }
+  surveyResult[`${body.subtestId}.timestamp_${subtestCount.timestampCount}`] = helpers.formatTimestamp(body.timestamp, context.groupTimeZone);
+
+  return surveyResult;
+}
+
+/**
+ * This function describes survey columns for the codebook, with the prompt,
+ * option labels and value coding of each question.
+ *
+ * @param {Object} subtest - subtest document.
+ * @param {Array} columns - column headers of the subtest.
+ * @param {Object} context - database url and value maps.
+ *
+ * @returns {Array} - one description per column.
+ */
+
+async function describeColumns(subtest, columns, context) {
+  let questions = _.keyBy(await dbQuery.getQuestionBySubtestId(subtest._id, context.dbUrl), 'name');
+  let valueMap = context.valueMaps ? context.valueMaps.survey : helpers.surveyValueMap;
+  let valueCoding = helpers.describeValueMap(valueMap);
+
+  return columns.map((column) => {
+    let question = questions[column.key.replace(`${subtest._id}.`, '')];
+    if (!question) {
+      return {};
+    }
+    let isMultiple = question.type === 'multiple';
+    if (_.isEmpty(question.options)) {
+      return {
+        valueMap: 'survey',
+        codedValues: [],
+        description: 'Answer value',
+        questionPrompt: question.prompt,
+        valueCoding: question.type === 'open' ? 'Text as entered' : 'Value as entered'
+      };
+    }
+    return {
+      valueMap: 'survey',
+      codedValues: isMultiple ? _.keys(valueMap) : _.without(_.keys(valueMap), 'checked', 'unchecked'),
+      optionValues: isMultiple ? [] : _.map(question.options, (option) => String(option.value)),
+      optionLabelsByValue: _.fromPairs(_.map(question.options, (option) => [String(option.value), option.label])),
+      isMultiple: isMultiple,
+      description: isMultiple ? 'Checked state of each option, comma separated, in option order' : 'Answer value',
+      questionPrompt: question.prompt,
+      optionLabels: _.map(question.options, (option) => `${option.value} = ${option.label}`).join('; '),
+      valueCoding: `${valueCoding}; any other value is the option value`
+    };
+  });
+}
+
+module.exports = {
+  prototype: 'survey',
+  counterKey: 'surveyCount',
+  createHeaders: createHeaders,
+  processResult: processResult,
+  describeColumns: describeColumns
+};
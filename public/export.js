@@ -0,0 +1,74 @@
+/**
+ * Submits the CSV generation form as an export job,
+ * shows its progress and downloads the file once it is ready.
+ */
+
+(function() {
+  var POLL_INTERVAL = 1000;
+
+  var form = document.getElementById('exportForm');
+  var button = document.getElementById('exportButton');
+  var status = document.getElementById('exportStatus');
+  var progressBar = document.getElementById('exportProgress');
+  var message = document.getElementById('exportMessage');
+
+  form.addEventListener('submit', function(event) {
+    event.preventDefault();
+    button.disabled = true;
+    showProgress(0, 'Starting export...');
+
+    request('POST', '/exports', new URLSearchParams(new FormData(form)).toString())
+      .then(function(job) { pollJob(job.statusUrl); })
+      .catch(showError);
+  });
+
+  function pollJob(statusUrl) {
+    request('GET', statusUrl)
+      .then(function(job) {
+        if (job.status === 'completed') {
+          showProgress(100, job.rowsWritten + ' rows written. Downloading...');
+          button.disabled = false;
+          window.location = job.downloadUrl;
+          return;
+        }
+        if (job.status === 'failed') {
+          throw new Error(job.error || 'Export failed.');
+        }
+        var total = job.totalRows === null ? '...' : job.totalRows;
+        showProgress(job.progress || 0, job.rowsWritten + ' of ' + total + ' rows written');
+        setTimeout(function() { pollJob(statusUrl); }, POLL_INTERVAL);
+      })
+      .catch(showError);
+  }
+
+  function request(method, url, body) {
+    return new Promise(function(resolve, reject) {
+      var xhr = new XMLHttpRequest();
+      xhr.open(method, url);
+      xhr.setRequestHeader('Content-Type', 'application/x-www-form-urlencoded');
+      xhr.onload = function() {
+        var data = JSON.parse(xhr.responseText || '{}');
+        if (xhr.status >= 400) {
+          reject(new Error(data.message || xhr.statusText));
+        } else {
+          resolve(data);
+        }
+      };
+      xhr.onerror = function() { reject(new Error('Could not reach the server.')); };
+      xhr.send(body);
+    });
+  }
+
+  function showProgress(percent, text) {
+    status.hidden = false;
+    message.className = 'center';
+    progressBar.style.width = percent + '%';
+    message.textContent = text;
+  }
+
+  function showError(err) {
+    button.disabled = false;
+    message.className = 'center error';
+    message.textContent = err.message;
+  }
+})();
@@ -0,0 +1,61 @@
+/**
+ * Adds a select per location level to the CSV generation form.
+ * Choosing a location fills the next level with its children.
+ */
+
+(function() {
+  var container = document.getElementById('locationFilters');
+
+  var xhr = new XMLHttpRequest();
+  xhr.open('GET', '/locations');
+  xhr.onload = function() {
+    if (xhr.status >= 400) {
+      return;
+    }
+    var data = JSON.parse(xhr.responseText);
+    var selects = data.levels.map(createSelect);
+
+    selects.forEach(function(select, index) {
+      select.addEventListener('change', function() {
+        var children = select.locationChildren[select.selectedIndex] || [];
+        for (var i = index + 1; i < selects.length; i++) {
+          fillSelect(selects[i], i === index + 1 ? children : []);
+        }
+      });
+    });
+    if (selects.length) {
+      fillSelect(selects[0], data.locations);
+    }
+    container.hidden = !selects.length;
+  };
+  xhr.send();
+
+  function createSelect(level) {
+    var label = document.createElement('label');
+    label.htmlFor = 'location_' + level;
+    label.textContent = level.charAt(0).toUpperCase() + level.slice(1) + ': ';
+
+    var select = document.createElement('select');
+    select.name = 'location_' + level;
+    select.id = 'location_' + level;
+    select.className = 'select';
+    select.dataset.level = level;
+
+    container.appendChild(label);
+    container.appendChild(select);
+    container.appendChild(document.createTextNode(' '));
+    return select;
+  }
+
+  // the children of each option are kept by option index, `option.children` is a read-only DOM property.
+  function fillSelect(select, locations) {
+    select.innerHTML = '';
+    select.appendChild(new Option('-- All ' + select.dataset.level + ' --', 'hide'));
+    select.locationChildren = [null];
+    locations.forEach(function(location) {
+      select.appendChild(new Option(location.label, location.id));
+      select.locationChildren.push(location.children);
+    });
+    select.disabled = !locations.length;
+  }
+})();
@@ -0,0 +1,159 @@
+/**
+ * Tests the authenticity rules of results.
+ */
+
+/**
+ * Module dependencies.
+ */
+
+const expect = require('chai').expect;
+const moment = require('moment-timezone');
+
+/**
+ * Local dependencies.
+ */
+
+const authenticity = require('./../utils/authenticity');
+const dbQuery = require('./../utils/dbQuery');
+
+describe('authenticity', () => {
+  // Monday 2018-01-08, from 09:30 to 09:45 in Nairobi.
+  const observation = (changes) => Object.assign({
+    startTime: moment.tz('2018-01-08T09:30:00', 'Africa/Nairobi'),
+    endTime: moment.tz('2018-01-08T09:45:00', 'Africa/Nairobi'),
+    ref: 'r1',
+    enumerator: 'jane',
+    resultDbUrl: 'http://localhost:5984/result'
+  }, changes);
+  const check = (constraints, changes) => authenticity.checkAuthenticity(constraints, observation(changes));
+
+  describe('checkAuthenticity', () => {
+    const getEnumeratorObservations = dbQuery.getEnumeratorObservations;
+    let others;
+
+    beforeEach(() => {
+      others = [];
+      dbQuery.getEnumeratorObservations = async() => others;
+    });
+
+    afterEach(() => {
+      dbQuery.getEnumeratorObservations = getEnumeratorObservations;
+    });
+
+    it('passes without rules', async() => {
+      expect(await check(undefined)).to.deep.equal([]);
+      expect(await check({})).to.deep.equal([]);
+    });
+
+    it('checks the working hours, ending bounds without minutes at the end of the hour', async() => {
+      const hours = { timeOfDay: { startTime: { hour: 9, minute: 30 }, endTime: { hour: 9 } } };
+
+      expect(await check(hours)).to.deep.equal([]);
+      expect(await check({ timeOfDay: { startTime: { hour: 9, minute: 31 } } })).to.deep.equal(['timeOfDay']);
+      expect(await check({ timeOfDay: { endTime: { hour: 9, minute: 44 } } })).to.deep.equal(['timeOfDay']);
+    });
+
+    it('checks the working days by name or number', async() => {
+      expect(await check({ daysOfWeek: ['Monday'] })).to.deep.equal([]);
+      expect(await check({ daysOfWeek: [1] })).to.deep.equal([]);
+      expect(await check({ daysOfWeek: ['Tue', '3'] })).to.deep.equal(['daysOfWeek']);
+    });
+
+    it('checks the school terms and holidays', async() => {
+      const terms = [{ start: '2018-01-08', end: '2018-04-06' }];
+
+      expect(await check({ schoolCalendar: { terms: terms } })).to.deep.equal([]);
+      expect(await check({ schoolCalendar: { terms: terms, holidays: ['2018-01-08'] } })).to.deep.equal(['schoolCalendar']);
+      expect(await check({ schoolCalendar: { terms: [{ start: '2018-01-09', end: '2018-04-06' }] } })).to.deep.equal(['schoolCalendar']);
+    });
+
+    it('checks the minimum and maximum durations', async() => {
+      expect(await check({ duration: { minutes: 15 }, maxDuration: { minutes: 15 } })).to.deep.equal([]);
+      expect(await check({ duration: { minutes: 16 }, maxDuration: { minutes: 14 } })).to.deep.equal(['duration', 'maxDuration']);
+    });
+
+    it('checks the distance to the school and passes results without positions', async() => {
+      const school = { latitude: -1.2921, longitude: 36.8219 };
+      const near = { latitude: -1.2951, longitude: 36.8219 };
+      const far = { latitude: -1.3021, longitude: 36.8219 };
+
+      expect(await check({ gpsDistance: { meters: 500 } }, { gps: near, school: school })).to.deep.equal([]);
+      expect(await check({ gpsDistance: { meters: 500 } }, { gps: far, school: school })).to.deep.equal(['gpsDistance']);
+      expect(await check({ gpsDistance: { meters: 500 } }, { school: school })).to.deep.equal([]);
+    });
+
+    it('checks the gap to earlier observations of the enumerator, leaving out the result itself', async() => {
+      const start = observation().startTime.valueOf();
+
+      others = [{ id: 'r1', startTimestamp: start }];
+      expect(await check({ enumeratorGap: { minutes: 15 } })).to.deep.equal([]);
+
+      others = [{ id: 'r1', startTimestamp: start }, { id: 'r0', startTimestamp: start - 60000 }];
+      expect(await check({ enumeratorGap: { minutes: 15 } })).to.deep.equal(['enumeratorGap']);
+      expect(await check({ enumeratorGap: { minutes: 15 } }, { enumerator: undefined })).to.deep.equal([]);
+    });
+
+    describe('enumeratorGap', () => {
+      const saveFailedRules = dbQuery.saveFailedRules;
+      const constraints = { enumeratorGap: { minutes: 15 } };
+      let docs;
+
+      // processes an observation like the changes feed: check it, then save its failed rules.
+      const processObservation = async(changes) => {
+        const item = observation(Object.assign({ parentId: 'a1' }, changes));
+        const failedRules = await authenticity.checkAuthenticity(constraints, item);
+        docs[item.ref] = { id: item.ref, parentId: 'a1', startTimestamp: item.startTime.valueOf(), doc: { failed_rules: failedRules } };
+      };
+
+      beforeEach(() => {
+        docs = {};
+        dbQuery.getEnumeratorObservations = async(enumerator, from, to) => {
+          return Object.keys(docs).map((id) => docs[id]).filter((row) => row.startTimestamp >= from && row.startTimestamp <= to);
+        };
+        dbQuery.saveFailedRules = async(id, failedRules) => docs[id].doc.failed_rules = failedRules;
+      });
+
+      afterEach(() => {
+        dbQuery.saveFailedRules = saveFailedRules;
+      });
+
+      it('fails the later observation of a pair whatever order they are processed in', async() => {
+        const earlier = { ref: 'r1' };
+        const later = { ref: 'r2', startTime: moment.tz('2018-01-08T09:40:00', 'Africa/Nairobi') };
+
+        await processObservation(earlier);
+        await processObservation(later);
+        const inOrder = [docs.r1.doc.failed_rules, docs.r2.doc.failed_rules];
+
+        docs = {};
+        await processObservation(later);
+        await processObservation(earlier);
+        const reversed = [docs.r1.doc.failed_rules, docs.r2.doc.failed_rules];
+
+        expect(inOrder).to.deep.equal([[], ['enumeratorGap']]);
+        expect(reversed).to.deep.equal(inOrder);
+      });
+
+      it('fails the observation with the higher id of a pair that started together', async() => {
+        await processObservation({ ref: 'r2' });
+        await processObservation({ ref: 'r1' });
+
+        expect(docs.r1.doc.failed_rules).to.deep.equal([]);
+        expect(docs.r2.doc.failed_rules).to.deep.equal(['enumeratorGap']);
+      });
+    });
+
+    it('lists every failed rule in the order they are checked', async() => {
+      const constraints = { maxDuration: { minutes: 5 }, daysOfWeek: ['Sun'], timeOfDay: { startTime: { hour: 10 } } };
+
+      expect(await check(constraints)).to.deep.equal(['timeOfDay', 'daysOfWeek', 'maxDuration']);
+    });
+  });
+
+  describe('describeFailedRules', () => {
+    it('joins the reasons of the failed rules and keeps unknown rule names', () => {
+      expect(authenticity.describeFailedRules(['timeOfDay', 'custom'])).to.equal('Captured outside the working hours; custom');
+      expect(authenticity.describeFailedRules([])).to.equal('');
+    });
+  });
+});
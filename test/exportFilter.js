@@ -0,0 +1,152 @@
+/**
+ * Tests the export filters and their view ranges.
+ */
+
+/**
+ * Module dependencies.
+ */
+
+const expect = require('chai').expect;
+
+/**
+ * Local dependencies.
+ */
+
+const exportFilter = require('./../utils/exportFilter');
+const resultViews = require('./../utils/resultViews');
+
+describe('exportFilter', () => {
+  describe('getExportFilter', () => {
+    it('reads a date range', () => {
+      const filter = exportFilter.getExportFilter({ workflowId: 'w1', startDate: '2018-01-08', endDate: '2018-04-06' });
+
+      expect(filter).to.deep.equal({
+        workflowId: 'w1',
+        startDate: '2018-01-08',
+        endDate: '2018-04-06',
+        months: [],
+        location: {},
+        validity: 'all'
+      });
+    });
+
+    it('reads a list of months and the legacy year and month, sorted and without duplicates', () => {
+      const filter = exportFilter.getExportFilter({ id: 'w1', months: '2018-03,2018-01', year: '2018', month: 'January' });
+
+      expect(filter.months).to.deep.equal([{ year: 2018, month: 1 }, { year: 2018, month: 3 }]);
+    });
+
+    it('ignores the placeholders of unselected form fields', () => {
+      const filter = exportFilter.getExportFilter({ workflowId: 'w1', year: 'hide', month: 'hide', location_county: 'hide' });
+
+      expect(filter.months).to.deep.equal([]);
+      expect(filter.location).to.deep.equal({});
+    });
+
+    it('reads locations as normalized labels', () => {
+      expect(exportFilter.getExportFilter({ location: 'county=Nairobi City,zone=Kilimani' }).location)
+        .to.deep.equal({ county: 'nairobi-city', zone: 'kilimani' });
+      expect(exportFilter.getExportFilter({ location: '{"school":"Olympic Primary"}' }).location)
+        .to.deep.equal({ school: 'olympic-primary' });
+    });
+
+    it('names location levels the way results are keyed', () => {
+      expect(exportFilter.getExportFilter({ location: 'Sub County=Kibra', location_SchoolName: 's1' }).location)
+        .to.deep.equal({ sub_county: 'kibra', school: 's1' });
+    });
+
+    it('rejects invalid input', () => {
+      expect(() => exportFilter.getExportFilter({ startDate: '2018-13-01' })).to.throw('Invalid start date');
+      expect(() => exportFilter.getExportFilter({ months: '2018-13' })).to.throw('Invalid month');
+      expect(() => exportFilter.getExportFilter({ startDate: '2018-02-01', endDate: '2018-01-01' })).to.throw('before the end date');
+      expect(() => exportFilter.getExportFilter({ startDate: '2018-02-01', months: '2018-01' })).to.throw('not both');
+      expect(() => exportFilter.getExportFilter({ location: 'county' })).to.throw('expected level=name');
+      expect(() => exportFilter.getExportFilter({ validity: 'maybe' })).to.throw('Invalid validity');
+    });
+  });
+
+  describe('getViewRanges', () => {
+    it('covers every result of a workflow, with or without a date, without a filter', () => {
+      const ranges = exportFilter.getViewRanges(exportFilter.getExportFilter({ workflowId: 'w1' }));
+
+      expect(ranges).to.deep.equal([{ view: 'byParentDate', startkey: ['w1'], endkey: ['w1', {}] }]);
+    });
+
+    it('leaves results without a date out of date ranges', () => {
+      const ranges = exportFilter.getViewRanges(exportFilter.getExportFilter({ workflowId: 'w1', endDate: '2018-04-06' }));
+
+      expect(ranges).to.deep.equal([{ view: 'byParentDate', startkey: ['w1', 0], endkey: ['w1', 2018, 4, 6] }]);
+    });
+
+    it('queries one range per month', () => {
+      const ranges = exportFilter.getViewRanges(exportFilter.getExportFilter({ workflowId: 'w1', months: '2018-01,2018-03' }));
+
+      expect(ranges).to.deep.equal([
+        { view: 'byParentDate', startkey: ['w1', 2018, 1], endkey: ['w1', 2018, 1, {}] },
+        { view: 'byParentDate', startkey: ['w1', 2018, 3], endkey: ['w1', 2018, 3, {}] }
+      ]);
+    });
+
+    it('queries the most specific location level', () => {
+      const ranges = exportFilter.getViewRanges(exportFilter.getExportFilter({ workflowId: 'w1', location: 'county=Nairobi,zone=Kilimani' }));
+
+      expect(ranges).to.deep.equal([{ view: 'byLocation', startkey: ['w1', 'zone', 'kilimani'], endkey: ['w1', 'zone', 'kilimani', {}] }]);
+    });
+  });
+
+  describe('matchesFilter', () => {
+    const doc = {
+      location: { county: 'Nairobi City', zone: 'Kilimani' },
+      location_ids: { county: 'c1', zone: 'z1' },
+      processed_results: { isValid: false }
+    };
+
+    it('matches every location level by label or id', () => {
+      expect(exportFilter.matchesFilter(doc, exportFilter.getExportFilter({ location: 'county=Nairobi City,zone=z1' }))).to.equal(true);
+      expect(exportFilter.matchesFilter(doc, exportFilter.getExportFilter({ location: 'county=c1,zone=z2' }))).to.equal(false);
+    });
+
+    it('matches the validity of the result', () => {
+      expect(exportFilter.matchesFilter(doc, exportFilter.getExportFilter({ validity: 'invalid' }))).to.equal(true);
+      expect(exportFilter.matchesFilter(doc, exportFilter.getExportFilter({ validity: 'valid' }))).to.equal(false);
+    });
+  });
+
+  describe('normalizeLocation', () => {
+    it('normalizes locations the way the byLocation view indexes them', () => {
+      const keys = [];
+      // the view is saved as a string and gets `emit` from CouchDB.
+      const byLocation = new Function('emit', `return ${resultViews.views.byLocation.map};`)((key) => keys.push(key[2]));
+      byLocation({
+        parent_id: 'a1',
+        processed_results: {},
+        result_year: '2018',
+        result_month: 'Jan',
+        result_day: '8',
+        location: { county: ' Nairobi  City ', zone: 'Kilimani\tEast' },
+        location_ids: { county: 'C1' }
+      });
+
+      expect(exportFilter.normalizeLocation(' Nairobi  City ')).to.equal('nairobi-city');
+      expect(keys).to.deep.equal(['nairobi-city', 'c1', 'kilimani-east']);
+      expect(keys).to.deep.equal([' Nairobi  City ', 'C1', 'Kilimani\tEast'].map(exportFilter.normalizeLocation));
+    });
+  });
+
+  describe('getLevelName', () => {
+    it('turns level labels into level names', () => {
+      expect(exportFilter.getLevelName('SchoolName')).to.equal('school');
+      expect(exportFilter.getLevelName(' Sub  County ')).to.equal('sub_county');
+      expect(exportFilter.getLevelName('county')).to.equal('county');
+      expect(exportFilter.getLevelName('')).to.equal(undefined);
+    });
+  });
+
+  describe('describePeriod', () => {
+    it('describes months, date ranges and unfiltered exports', () => {
+      expect(exportFilter.describePeriod(exportFilter.getExportFilter({ months: '2018-01,2018-02' }))).to.equal('2018_jan-feb');
+      expect(exportFilter.describePeriod(exportFilter.getExportFilter({ startDate: '2018-01-08' }))).to.equal('20180108-now');
+      expect(exportFilter.describePeriod(exportFilter.getExportFilter({}))).to.equal('all');
+    });
+  });
+});
@@ -0,0 +1,45 @@
+/**
+ * Tests reading coordinates and measuring distances.
+ */
+
+/**
+ * Module dependencies.
+ */
+
+const expect = require('chai').expect;
+
+/**
+ * Local dependencies.
+ */
+
+const geo = require('./../utils/geo');
+
+describe('geo', () => {
+  describe('getCoordinates', () => {
+    it('reads latitude and longitude or their short names', () => {
+      expect(geo.getCoordinates({ latitude: -1.29, longitude: 36.82 })).to.deep.equal({ latitude: -1.29, longitude: 36.82 });
+      expect(geo.getCoordinates({ lat: '-1.29', long: '36.82' })).to.deep.equal({ latitude: -1.29, longitude: 36.82 });
+      expect(geo.getCoordinates({ lat: 0, lng: 0 })).to.deep.equal({ latitude: 0, longitude: 0 });
+    });
+
+    it('leaves out missing, invalid and out of range coordinates', () => {
+      expect(geo.getCoordinates(undefined)).to.equal(undefined);
+      expect(geo.getCoordinates({ latitude: '', longitude: 36.82 })).to.equal(undefined);
+      expect(geo.getCoordinates({ latitude: 'north', longitude: 36.82 })).to.equal(undefined);
+      expect(geo.getCoordinates({ latitude: 91, longitude: 36.82 })).to.equal(undefined);
+      expect(geo.getCoordinates({ latitude: -1.29, longitude: -181 })).to.equal(undefined);
+    });
+  });
+
+  describe('getDistance', () => {
+    it('measures the great-circle distance in meters', () => {
+      const nairobi = { latitude: -1.2921, longitude: 36.8219 };
+      const mombasa = { latitude: -4.0435, longitude: 39.6682 };
+
+      expect(geo.getDistance(nairobi, nairobi)).to.equal(0);
+      expect(geo.getDistance({ latitude: 0, longitude: 0 }, { latitude: 1, longitude: 0 })).to.be.closeTo(111195, 1);
+      expect(geo.getDistance(nairobi, mombasa)).to.be.closeTo(440000, 5000);
+      expect(geo.getDistance(nairobi, mombasa)).to.equal(geo.getDistance(mombasa, nairobi));
+    });
+  });
+});
@@ -0,0 +1,110 @@
+/**
+ * Tests the conversion and formatting of timestamps in the group time zone
+ * and the recoding of grid and survey values.
+ */
+
+/**
+ * Module dependencies.
+ */
+
+const expect = require('chai').expect;
+
+/**
+ * Local dependencies.
+ */
+
+const helpers = require('./../prototypes/helpers');
+const survey = require('./../prototypes/survey');
+
+describe('helpers', () => {
+  // 2018-01-08T06:30:00Z and 2018-07-08T06:30:00Z.
+  const winter = 1515393000000;
+  const summer = 1531031400000;
+
+  describe('convertToTimeZone', () => {
+    it('keeps UTC without a time zone', () => {
+      expect(helpers.convertToTimeZone(winter).format()).to.equal('2018-01-08T06:30:00Z');
+    });
+
+    it('converts to an IANA time zone', () => {
+      expect(helpers.convertToTimeZone(winter, 'Africa/Nairobi').format()).to.equal('2018-01-08T09:30:00+03:00');
+    });
+
+    it('follows the daylight saving time of an IANA time zone', () => {
+      expect(helpers.convertToTimeZone(winter, 'Europe/London').format()).to.equal('2018-01-08T06:30:00Z');
+      expect(helpers.convertToTimeZone(summer, 'Europe/London').format()).to.equal('2018-07-08T07:30:00+01:00');
+    });
+
+    it('converts to fixed UTC offsets in any of their notations', () => {
+      const format = (timeZone) => helpers.convertToTimeZone(winter, timeZone).format();
+
+      expect(format('+05:30')).to.equal('2018-01-08T12:00:00+05:30');
+      expect(format('-0400')).to.equal('2018-01-08T02:30:00-04:00');
+      expect(format('+3')).to.equal('2018-01-08T09:30:00+03:00');
+      expect(format('UTC+3')).to.equal('2018-01-08T09:30:00+03:00');
+      expect(format('3')).to.equal('2018-01-08T09:30:00+03:00');
+    });
+
+    it('reads date strings without a time zone as UTC', () => {
+      expect(helpers.convertToTimeZone('2018-01-08 06:30', '+03:00').format()).to.equal('2018-01-08T09:30:00+03:00');
+    });
+
+    it('throws on unknown time zones and out of range offsets', () => {
+      expect(() => helpers.convertToTimeZone(winter, 'Mars/Olympus')).to.throw('Unknown time zone "Mars/Olympus"');
+      expect(() => helpers.convertToTimeZone(winter, '+15:00')).to.throw('Unknown time zone');
+      expect(() => helpers.convertToTimeZone(winter, '+03:75')).to.throw('Unknown time zone');
+    });
+  });
+
+  describe('formatTimestamp', () => {
+    it('formats a timestamp as ISO 8601 with the offset of the time zone', () => {
+      expect(helpers.formatTimestamp(winter, 'Africa/Nairobi')).to.equal('2018-01-08T09:30:00+03:00');
+      expect(helpers.formatTimestamp(winter)).to.equal('2018-01-08T06:30:00+00:00');
+    });
+
+    it('leaves missing timestamps empty', () => {
+      expect(helpers.formatTimestamp(undefined, '+03:00')).to.equal(undefined);
+      expect(helpers.formatTimestamp(null, '+03:00')).to.equal(undefined);
+      expect(helpers.formatTimestamp('', '+03:00')).to.equal(undefined);
+    });
+  });
+
+  describe('recodeValue', () => {
+    // the documented override of an export, see `valueMaps` in the README.
+    const valueMaps = helpers.getValueMaps({}, { survey: { skipped: '' } });
+
+    it('recodes a shared code from the result value saved with it', () => {
+      expect(helpers.recodeValue('999', helpers.surveyValueMap, valueMaps.survey, 'skipped')).to.equal('');
+      expect(helpers.recodeValue('999', helpers.surveyValueMap, valueMaps.survey, 'logicSkipped')).to.equal('999');
+    });
+
+    it('marks a shared code without a saved result value as ambiguous', () => {
+      expect(helpers.recodeValue('999', helpers.surveyValueMap, valueMaps.survey)).to.equal('ambiguous');
+    });
+
+    it('recodes codes that are not shared and keeps other values', () => {
+      const override = helpers.getValueMaps({}, { survey: { 'not asked': '-97' } }).survey;
+
+      expect(helpers.recodeValue('.', helpers.surveyValueMap, override)).to.equal('-97');
+      expect(helpers.recodeValue('999', helpers.surveyValueMap, override)).to.equal('999');
+      expect(helpers.recodeValue('yes', helpers.surveyValueMap, override)).to.equal('yes');
+    });
+  });
+
+  describe('recordValueState', () => {
+    it('keeps the result values behind shared codes of a processed survey', () => {
+      const indexKeys = {};
+      const context = { valueMaps: helpers.getValueMaps(), indexKeys };
+      const result = survey.processResult({
+        subtestId: 's1',
+        timestamp: winter,
+        data: { q1: 'skipped', q2: 'logicSkipped', q3: 'yes', q4: { a: 'checked', b: 'skipped' } }
+      }, { timestampCount: 1 }, context);
+
+      expect(result['s1.q1']).to.equal('999');
+      expect(result['s1.q2']).to.equal('999');
+      expect(indexKeys.valueStates).to.deep.equal({ 's1.q1': 'skipped', 's1.q2': 'logicSkipped', 's1.q4': 'checked,skipped' });
+      expect(helpers.recodeValue(result['s1.q1'], helpers.surveyValueMap, helpers.getValueMaps({}, { survey: { skipped: '' } }).survey, indexKeys.valueStates['s1.q1'])).to.equal('');
+    });
+  });
+});
@@ -0,0 +1,139 @@
+/**
+ * Tests the location prototype against a stubbed location list.
+ */
+
+/**
+ * Module dependencies.
+ */
+
+const expect = require('chai').expect;
+
+/**
+ * Local dependencies.
+ */
+
+const dbQuery = require('./../utils/dbQuery');
+const location = require('./../prototypes/location');
+
+describe('location', () => {
+  const LEVELS = ['County', 'Sub County', 'Zone', 'SchoolName'];
+  const locationList = {
+    locationsLevels: LEVELS,
+    locations: {
+      c1: {
+        label: 'Nairobi City',
+        children: {
+          s1: {
+            label: 'Westlands',
+            children: {
+              z1: {
+                label: 'Kilimani',
+                children: { k1: { label: 'Olympic Primary', latitude: -1.2921, longitude: 36.7869, children: {} } }
+              }
+            }
+          }
+        }
+      }
+    }
+  };
+  const getLocationList = dbQuery.getLocationList;
+  let dbCount = 0;
+  let dbUrl;
+
+  // every test gets its own database url, as location lists are cached by url.
+  beforeEach(() => {
+    dbUrl = `http://localhost:5984/group-${dbCount++}`;
+    dbQuery.getLocationList = async() => locationList;
+  });
+
+  afterEach(() => {
+    dbQuery.getLocationList = getLocationList;
+  });
+
+  const processLocation = async(data, context) => {
+    const indexKeys = {};
+    const body = { subtestId: 'loc', timestamp: 1515393000000, data: data };
+    const result = await location.processResult(body, { locationCount: 0, timestampCount: 0 }, Object.assign({ dbUrl, indexKeys }, context));
+    return { result, indexKeys };
+  };
+
+  describe('createHeaders', () => {
+    it('has an id and a label column per level name of the location list', async() => {
+      const headers = await location.createHeaders({ _id: 'loc' }, { locationCount: 1, timestampCount: 2 }, { dbUrl });
+
+      expect(headers.map((column) => column.header)).to.deep.equal([
+        'county_id_1', 'county_1', 'sub_county_id_1', 'sub_county_1', 'zone_id_1', 'zone_1', 'school_id_1', 'school_1', 'timestamp_2'
+      ]);
+      expect(headers[0].key).to.equal('loc.county_id_1');
+    });
+  });
+
+  describe('processResult', () => {
+    it('keeps the id and label of each level of a full path', async() => {
+      const { result, indexKeys } = await processLocation({ location: ['c1', 's1', 'z1', 'k1'], labels: LEVELS });
+
+      expect(result).to.include({
+        'loc.county_id': 'c1',
+        'loc.county': 'Nairobi City',
+        'loc.sub_county_id': 's1',
+        'loc.sub_county': 'Westlands',
+        'loc.zone_id': 'z1',
+        'loc.zone': 'Kilimani',
+        'loc.school_id': 'k1',
+        'loc.school': 'Olympic Primary',
+        'loc.timestamp_0': '2018-01-08T06:30:00+00:00'
+      });
+      expect(indexKeys.location).to.deep.equal({ county: 'Nairobi City', sub_county: 'Westlands', zone: 'Kilimani', school: 'Olympic Primary' });
+      expect(indexKeys.locationIds).to.deep.equal({ county: 'c1', sub_county: 's1', zone: 'z1', school: 'k1' });
+      expect(indexKeys.school).to.deep.equal({ latitude: -1.2921, longitude: 36.7869 });
+    });
+
+    it('formats labels with the label format of the group', async() => {
+      const { result } = await processLocation({ location: ['c1', 's1', 'z1', 'k1'] }, { locationLabelFormat: 'lower-dashed' });
+
+      expect(result['loc.school']).to.equal('olympic-primary');
+    });
+
+    it('fills in the locations of skipped levels from the tree', async() => {
+      const { result } = await processLocation({ location: ['c1', 'z1'], labels: ['County', 'Zone'] });
+
+      expect(result).to.include({ 'loc.sub_county_id': 's1', 'loc.zone_id': 'z1', 'loc.zone': 'Kilimani' });
+      expect(result['loc.school_id']).to.equal(undefined);
+    });
+
+    it('finds a location selected on its own at its depth', async() => {
+      const { result } = await processLocation({ location: ['z1'] });
+
+      expect(result).to.include({ 'loc.county_id': 'c1', 'loc.sub_county_id': 's1', 'loc.zone_id': 'z1' });
+    });
+
+    it('leaves the levels of ids no longer in the list empty', async() => {
+      const { result } = await processLocation({ location: ['c1', 'gone'], labels: LEVELS });
+
+      expect(result['loc.county_id']).to.equal('c1');
+      expect(result['loc.sub_county_id']).to.equal(undefined);
+      expect(result['loc.sub_county']).to.equal(undefined);
+    });
+
+    it('resolves a school id to its path', async() => {
+      const { result } = await processLocation({ schoolId: 'k1', location: ['Nairobi', 'Westlands', 'Kilimani', 'Olympic'], labels: LEVELS });
+
+      expect(result).to.include({ 'loc.county_id': 'c1', 'loc.county': 'Nairobi City', 'loc.school_id': 'k1', 'loc.school': 'Olympic Primary' });
+    });
+
+    it('keeps the labels of the result for a school no longer in the list', async() => {
+      const { result, indexKeys } = await processLocation({ schoolId: 'k9', location: ['Nairobi', 'Westlands', 'Kilimani', 'Closed Primary'], labels: LEVELS });
+
+      expect(result).to.include({ 'loc.county': 'Nairobi', 'loc.school_id': 'k9', 'loc.school': 'Closed Primary' });
+      expect(result['loc.county_id']).to.equal(undefined);
+      expect(indexKeys.school).to.equal(undefined);
+    });
+
+    it('keeps the school id of a school no longer in the list without locations', async() => {
+      const { result } = await processLocation({ schoolId: 'k9', labels: LEVELS });
+
+      expect(result).to.include({ 'loc.school_id': 'k9' });
+      expect(result['loc.county']).to.equal(undefined);
+    });
+  });
+});
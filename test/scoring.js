@@ -0,0 +1,162 @@
+/**
+ * Tests the grid scoring rules and the scores of processed grids.
+ */
+
+/**
+ * Module dependencies.
+ */
+
+const expect = require('chai').expect;
+
+/**
+ * Local dependencies.
+ */
+
+const scoring = require('./../prototypes/scoring');
+const grid = require('./../prototypes/grid');
+
+describe('scoring', () => {
+  describe('getGridRule', () => {
+    it('uses the default metrics without a scoring document', () => {
+      const rule = scoring.getGridRule(undefined, 'b123', 'letters');
+
+      expect(rule).to.deep.equal({ metrics: scoring.METRICS, autoStop: 'elapsed', benchmarks: undefined });
+    });
+
+    it('merges the rule of the subtest id, or else of the variable name, over the default rule', () => {
+      const rules = {
+        grids: {
+          default: { metrics: ['percent_correct'] },
+          b123: { autoStop: 'zero' },
+          letters: { metrics: ['zero_score'] }
+        }
+      };
+
+      expect(scoring.getGridRule(rules, 'b123', 'letters')).to.include({ autoStop: 'zero' })
+        .and.to.have.property('metrics').that.deep.equals(['percent_correct']);
+      expect(scoring.getGridRule(rules, 'b456', 'letters').metrics).to.deep.equal(['zero_score']);
+    });
+
+    it('leaves out unknown metrics and benchmarks without bands', () => {
+      const rule = scoring.getGridRule({ grids: { default: { metrics: ['speed', 'zero_score'], benchmarks: { bands: [] } } } });
+
+      expect(rule.metrics).to.deep.equal(['zero_score']);
+      expect(rule.benchmarks).to.equal(undefined);
+    });
+  });
+
+  describe('getScoreNames', () => {
+    it('adds the benchmark column to the metrics of rules with bands', () => {
+      const rule = scoring.getGridRule({ grids: { default: { metrics: ['zero_score'], benchmarks: { bands: [{ band: 'any' }] } } } });
+
+      expect(scoring.getScoreNames(rule)).to.deep.equal(['zero_score', 'benchmark']);
+    });
+  });
+
+  describe('scoreGrid', () => {
+    const rule = scoring.getGridRule();
+
+    it('scores correct items per minute over the time used', () => {
+      const scores = scoring.scoreGrid({ time_allowed: 60, time_remain: 30 }, 20, 25, rule);
+
+      expect(scores).to.deep.equal({ correct_per_minute: 40, percent_correct: 80, zero_score: 0 });
+    });
+
+    it('rounds scores to one decimal', () => {
+      const scores = scoring.scoreGrid({ time_allowed: '60', time_remain: '7' }, 10, 30, rule);
+
+      expect(scores.correct_per_minute).to.equal(11.3);
+      expect(scores.percent_correct).to.equal(33.3);
+    });
+
+    it('leaves the rates empty without time used or attempted items', () => {
+      const scores = scoring.scoreGrid({ time_allowed: 60, time_remain: 60 }, 0, 0, rule);
+
+      expect(scores.correct_per_minute).to.equal(undefined);
+      expect(scores.percent_correct).to.equal(undefined);
+      expect(scores.zero_score).to.equal(1);
+    });
+
+    it('scores automatically stopped grids over the time used, or as zero with the zero rule', () => {
+      const data = { time_allowed: 60, time_remain: 45, auto_stop: 'true' };
+      const zeroRule = scoring.getGridRule({ grids: { default: { autoStop: 'zero' } } });
+
+      expect(scoring.scoreGrid(data, 5, 10, rule).correct_per_minute).to.equal(20);
+      expect(scoring.scoreGrid(data, 5, 10, zeroRule).correct_per_minute).to.equal(0);
+    });
+
+    it('finds the benchmark band of the metric', () => {
+      const benchmarkRule = scoring.getGridRule({
+        grids: {
+          default: {
+            benchmarks: {
+              metric: 'percent_correct',
+              bands: [{ band: 'low', below: 50 }, { band: 'middle', below: '80' }, { band: 'high' }]
+            }
+          }
+        }
+      });
+      const band = (correct) => scoring.scoreGrid({ time_allowed: 60 }, correct, 10, benchmarkRule).benchmark;
+
+      expect([band(4), band(5), band(8), band(10)]).to.deep.equal(['low', 'middle', 'high', 'high']);
+      expect(scoring.scoreGrid({ time_allowed: 60 }, 0, 0, benchmarkRule).benchmark).to.equal(undefined);
+    });
+
+    it('only keeps the metrics of the rule', () => {
+      const scores = scoring.scoreGrid({ time_allowed: 60 }, 3, 4, scoring.getGridRule({ grids: { default: { metrics: ['zero_score'] } } }));
+
+      expect(scores).to.deep.equal({ zero_score: 0 });
+    });
+  });
+
+  describe('grid', () => {
+    const subtest = { _id: 'b123', variableName: 'letters', items: ['a', 'b', 'c', 'd'] };
+    const body = {
+      subtestId: 'b123',
+      name: 'Letters',
+      timestamp: 1515393000000,
+      data: {
+        variable_name: 'letters',
+        time_allowed: 60,
+        time_remain: 30,
+        items: [
+          { itemLabel: 'a', itemResult: 'correct' },
+          { itemLabel: 'b', itemResult: 'incorrect' },
+          { itemLabel: 'c', itemResult: 'skipped' },
+          { itemLabel: 'd', itemResult: 'correct' }
+        ]
+      }
+    };
+
+    it('has a column for each score and the fluency rate', () => {
+      const keys = grid.createHeaders(subtest, { gridCount: 1, timestampCount: 0 }, { assessmentSuffix: '_1' }).map((column) => column.key);
+
+      expect(keys).to.include.members([
+        'b123.fluency_rate_1',
+        'b123.letters_correct_per_minute_1',
+        'b123.letters_percent_correct_1',
+        'b123.letters_zero_score_1'
+      ]);
+    });
+
+    it('scores the grid and keeps the fluency rate', () => {
+      const result = grid.processResult(body, { gridCount: 0, timestampCount: 0 }, { assessmentSuffix: '' });
+
+      expect(result).to.include({
+        'b123.fluency_rate': 4,
+        'b123.letters_correct_per_minute': 4,
+        'b123.letters_percent_correct': 66.7,
+        'b123.letters_zero_score': 0
+      });
+    });
+
+    it('leaves the fluency rate blank when no time was used', () => {
+      const noTime = Object.assign({}, body, { data: Object.assign({}, body.data, { time_remain: 60 }) });
+      const result = grid.processResult(noTime, { gridCount: 0, timestampCount: 0 }, {});
+
+      expect(result).to.have.property('b123.fluency_rate');
+      expect(result['b123.fluency_rate']).to.equal(undefined);
+      expect(result['b123.letters_correct_per_minute']).to.equal(undefined);
+    });
+  });
+});
@@ -0,0 +1,134 @@
+/**
+ * Tests the keyed work queue.
+ */
+
+/**
+ * Module dependencies.
+ */
+
+const expect = require('chai').expect;
+
+/**
+ * Local dependencies.
+ */
+
+const createWorkQueue = require('./../utils/workQueue').createWorkQueue;
+
+/**
+ * This function waits for a number of milliseconds.
+ *
+ * @param {number} ms - delay.
+ *
+ * @returns {Promise} - resolves after the delay.
+ */
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+describe('workQueue', () => {
+  it('runs the tasks of a key in the order they were pushed', async() => {
+    const done = [];
+    const queue = createWorkQueue(async(task) => {
+      await wait(task.delay);
+      done.push(task.name);
+    }, { concurrency: 2 });
+
+    await Promise.all([
+      queue.push('a', { name: 'a1', delay: 20 }),
+      queue.push('a', { name: 'a2', delay: 0 }),
+      queue.push('b', { name: 'b1', delay: 5 })
+    ]);
+
+    expect(done).to.deep.equal(['b1', 'a1', 'a2']);
+  });
+
+  it('runs no more tasks than the concurrency at the same time', async() => {
+    let running = 0;
+    let maxRunning = 0;
+    const queue = createWorkQueue(async() => {
+      running++;
+      maxRunning = Math.max(maxRunning, running);
+      await wait(5);
+      running--;
+    }, { concurrency: 2 });
+
+    await Promise.all(['a', 'b', 'c', 'd'].map((key) => queue.push(key, key)));
+
+    expect(maxRunning).to.equal(2);
+    expect(queue.size()).to.equal(0);
+  });
+
+  it('retries a failed task before later tasks of its key', async() => {
+    const done = [];
+    let attempts = 0;
+    const queue = createWorkQueue(async(task) => {
+      if (task === 'first' && ++attempts < 3) {
+        throw new Error('failed');
+      }
+      done.push(task);
+    }, { retryDelay: 1 });
+    const retries = [];
+    queue.on('retry', (err, task, attempt) => retries.push(attempt));
+
+    const errors = await Promise.all([queue.push('a', 'first'), queue.push('a', 'second')]);
+
+    expect(errors).to.deep.equal([null, null]);
+    expect(retries).to.deep.equal([1, 2]);
+    expect(done).to.deep.equal(['first', 'second']);
+  });
+
+  it('dead-letters a task that keeps failing', async() => {
+    const deadLetters = [];
+    const queue = createWorkQueue(async() => {
+      throw new Error('failed');
+    }, {
+      maxRetries: 2,
+      retryDelay: 1,
+      onDeadLetter: async(task, err, attempts) => deadLetters.push({ task, message: err.message, attempts })
+    });
+
+    const error = await queue.push('a', 'task');
+
+    expect(error.message).to.equal('failed');
+    expect(deadLetters).to.deep.equal([{ task: 'task', message: 'failed', attempts: 3 }]);
+  });
+
+  it('keeps a task pending until its dead letter has been saved', async() => {
+    const done = [];
+    const errors = [];
+    let deadLetterCalls = 0;
+    const queue = createWorkQueue(async(task) => {
+      if (task === 'bad') {
+        throw new Error('failed');
+      }
+      done.push(task);
+    }, {
+      maxRetries: 0,
+      retryDelay: 1,
+      onDeadLetter: async() => {
+        deadLetterCalls++;
+        if (deadLetterCalls < 3) {
+          throw new Error('dead letter not saved');
+        }
+        done.push('dead letter');
+      }
+    });
+    queue.on('error', (err) => errors.push(err.message));
+    queue.on('settled', (task) => task === 'bad' && done.push('settled'));
+
+    await Promise.all([queue.push('a', 'bad'), queue.push('a', 'next')]);
+
+    expect(errors).to.deep.equal(['dead letter not saved', 'dead letter not saved']);
+    expect(done).to.deep.equal(['dead letter', 'settled', 'next']);
+    expect(queue.size()).to.equal(0);
+  });
+
+  it('is full once the limit of pending tasks is reached', () => {
+    const queue = createWorkQueue(() => wait(5), { limit: 2 });
+
+    queue.push('a', 1);
+    expect(queue.isFull()).to.equal(false);
+    const last = queue.push('b', 2);
+    expect(queue.isFull()).to.equal(true);
+    return last;
+  });
+});
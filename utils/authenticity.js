@@ -0,0 +1,232 @@
+/**
+ * This file checks the authenticity of a result with the rules set in the
+ * `authenticityParameters` of its assessment or workflow:
+ *
+ *    "authenticityParameters": {
+ *      "enabled": true,
+ *      "constraints": {
+ *        "timeOfDay": { "startTime": { "hour": 7, "minute": 30 }, "endTime": { "hour": 16, "minute": 0 } },
+ *        "daysOfWeek": ["Mon", "Tue", "Wed", "Thu", "Fri"],
+ *        "schoolCalendar": {
+ *          "terms": [{ "start": "2018-01-08", "end": "2018-04-06" }],
+ *          "holidays": ["2018-03-30"]
+ *        },
+ *        "duration": { "minutes": 10 },
+ *        "maxDuration": { "minutes": 120 },
+ *        "gpsDistance": { "meters": 500 },
+ *        "enumeratorGap": { "minutes": 15 }
+ *      }
+ *    }
+ *
+ * Only the rules given are checked. Times are taken in the group time zone.
+ */
+
+/**
+ * Module dependencies.
+ */
+
+const _ = require('lodash');
+const moment = require('moment-timezone');
+
+/**
+ * Local dependencies.
+ */
+
+const dbQuery = require('./dbQuery');
+const geo = require('./geo');
+
+/**
+ * Define the authenticity rules, in the order they are checked, with the reason a result fails them.
+ *
+ * Each check gets the rule's constraint and the observation, and resolves to
+ * false when the observation fails the rule. Rules that can not be checked,
+ * e.g. the gps distance of a result without a position, are passed.
+ */
+
+const RULES = {
+  timeOfDay: { reason: 'Captured outside the working hours', check: checkTimeOfDay },
+  daysOfWeek: { reason: 'Captured outside the working days', check: checkDaysOfWeek },
+  schoolCalendar: { reason: 'Captured outside the school calendar', check: checkSchoolCalendar },
+  duration: { reason: 'Less than expected duration', check: checkDuration },
+  maxDuration: { reason: 'More than the maximum duration', check: checkMaxDuration },
+  gpsDistance: { reason: 'Captured too far from the school', check: checkGpsDistance },
+  enumeratorGap: { reason: 'Too soon after another observation of the enumerator', check: checkEnumeratorGap }
+};
+
+/**
+ * This function checks an observation against the rules of its assessment or workflow.
+ *
+ * @param {Object} constraints - rules, see above.
+ * @param {Object} observation - observation to check.
+ * @param {Object} observation.startTime - moment the observation started, in the group time zone.
+ * @param {Object} observation.endTime - moment the observation ended, in the group time zone.
+ * @param {string} observation.ref - id of the processed result.
+ * @param {string} observation.enumerator - enumerator username.
+ * @param {Object} observation.gps - `{ latitude, longitude }` of the observation.
+ * @param {Object} observation.school - `{ latitude, longitude }` of the school.
+ * @param {string} observation.parentId - id of the assessment or workflow of the observation.
+ * @param {string} observation.resultDbUrl - result database url, to compare with other observations.
+ *
+ * @returns {Array} - names of the failed rules, in the order they are checked.
+ */
+
+const checkAuthenticity = async function(constraints, observation) {
+  const failedRules = [];
+
+  for (let name of _.keys(RULES)) {
+    if (constraints && constraints[name] && !await RULES[name].check(constraints[name], observation)) {
+      failedRules.push(name);
+    }
+  }
+  return failedRules;
+}
+
+/**
+ * This function describes why a result failed its rules.
+ *
+ * @param {Array} failedRules - names of the failed rules.
+ *
+ * @returns {string} - reasons of the failed rules, separated by semicolons.
+ */
+
+const describeFailedRules = (failedRules) => {
+  return failedRules.map((name) => RULES[name] ? RULES[name].reason : name).join('; ');
+}
+
+/**
+ * This function checks that an observation started and ended within the working hours.
+ * Bounds without minutes start on the hour and end at the end of the hour.
+ *
+ * @param {Object} constraint - `{ startTime: { hour, minute }, endTime: { hour, minute } }`.
+ * @param {Object} observation - observation to check.
+ *
+ * @returns {boolean} - whether the observation passes the rule.
+ */
+
+function checkTimeOfDay(constraint, observation) {
+  const minutesOfDay = (time) => time.hours() * 60 + time.minutes();
+  const start = constraint.startTime;
+  const end = constraint.endTime;
+  const isStartValid = !start || minutesOfDay(observation.startTime) >= start.hour * 60 + (Number(start.minute) || 0);
+  const isEndValid = !end || minutesOfDay(observation.endTime) <= end.hour * 60 + (_.isNil(end.minute) ? 59 : Number(end.minute));
+
+  return isStartValid && isEndValid;
+}
+
+/**
+ * This function checks that an observation started on a working day.
+ *
+ * @param {Array} constraint - working days, as names such as `Mon` or `Monday`, or numbers from 0 for Sunday.
+ * @param {Object} observation - observation to check.
+ *
+ * @returns {boolean} - whether the observation passes the rule.
+ */
+
+function checkDaysOfWeek(constraint, observation) {
+  const day = observation.startTime.day();
+
+  return _.castArray(constraint).some((workingDay) => {
+    if (_.isNumber(workingDay) || /^\d$/.test(workingDay)) {
+      return Number(workingDay) === day;
+    }
+    return String(workingDay).slice(0, 3).toLowerCase() === moment.weekdaysShort(day).toLowerCase();
+  });
+}
+
+/**
+ * This function checks that an observation started during a school term and not on a holiday.
+ *
+ * @param {Object} constraint - `{ terms: [{ start, end }], holidays: [] }` with `YYYY-MM-DD` dates.
+ * @param {Object} observation - observation to check.
+ *
+ * @returns {boolean} - whether the observation passes the rule.
+ */
+
+function checkSchoolCalendar(constraint, observation) {
+  const date = observation.startTime.format('YYYY-MM-DD');
+  const isInTerm = _.isEmpty(constraint.terms) || constraint.terms.some((term) => date >= term.start && date <= term.end);
+
+  return isInTerm && (constraint.holidays || []).indexOf(date) < 0;
+}
+
+/**
+ * This function checks that an observation lasted at least the expected number of minutes.
+ *
+ * @param {Object} constraint - `{ minutes }`.
+ * @param {Object} observation - observation to check.
+ *
+ * @returns {boolean} - whether the observation passes the rule.
+ */
+
+function checkDuration(constraint, observation) {
+  return observation.endTime.diff(observation.startTime, 'minutes') >= constraint.minutes;
+}
+
+/**
+ * This function checks that an observation lasted at most the given number of minutes.
+ *
+ * @param {Object} constraint - `{ minutes }`.
+ * @param {Object} observation - observation to check.
+ *
+ * @returns {boolean} - whether the observation passes the rule.
+ */
+
+function checkMaxDuration(constraint, observation) {
+  return observation.endTime.diff(observation.startTime, 'minutes', true) <= constraint.minutes;
+}
+
+/**
+ * This function checks that an observation was captured near the registered coordinates of its school.
+ * Observations without a position or a school with coordinates pass.
+ *
+ * @param {Object} constraint - `{ meters }`.
+ * @param {Object} observation - observation to check.
+ *
+ * @returns {boolean} - whether the observation passes the rule.
+ */
+
+function checkGpsDistance(constraint, observation) {
+  if (!observation.gps || !observation.school) {
+    return true;
+  }
+  return geo.getDistance(observation.gps, observation.school) <= constraint.meters;
+}
+
+/**
+ * This function checks that no other observation of the enumerator started within
+ * the given number of minutes before this one, or at the same time with a lower id.
+ * Observations of the same assessment or workflow starting within the minutes after
+ * it fail the rule instead, and are flagged here when they were processed first,
+ * so the outcome does not depend on the order results are processed in.
+ *
+ * @param {Object} constraint - `{ minutes }`.
+ * @param {Object} observation - observation to check.
+ *
+ * @returns {boolean} - whether the observation passes the rule.
+ */
+
+async function checkEnumeratorGap(constraint, observation) {
+  if (!observation.enumerator || !observation.resultDbUrl) {
+    return true;
+  }
+  const start = observation.startTime.valueOf();
+  const gap = constraint.minutes * 60 * 1000;
+  const rows = await dbQuery.getEnumeratorObservations(observation.enumerator, start - gap + 1, start + gap - 1, observation.resultDbUrl, true);
+  const others = rows.filter((other) => other.id !== observation.ref);
+  const isLater = (other) => other.startTimestamp > start || (other.startTimestamp === start && other.id > observation.ref);
+
+  for (let other of others.filter(isLater)) {
+    let failedRules = (other.doc && other.doc.failed_rules) || [];
+    if (other.parentId === observation.parentId && failedRules.indexOf('enumeratorGap') < 0) {
+      failedRules = _.intersection(_.keys(RULES), failedRules.concat('enumeratorGap'));
+      await dbQuery.saveFailedRules(other.id, failedRules, describeFailedRules(failedRules), observation.resultDbUrl);
+    }
+  }
+  return !others.some((other) => !isLater(other));
+}
+
+exports.RULES = RULES;
+
+exports.checkAuthenticity = checkAuthenticity;
+
+exports.describeFailedRules = describeFailedRules;
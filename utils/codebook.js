@@ -0,0 +1,241 @@
+/**
+ * This file describes the columns of an export for its codebook.
+ *
+ * Each column is traced back to its source assessment, subtest and prototype,
+ * and described by the prototype handler, with the question prompt, option
+ * labels and value coding where there is one.
+ */
+
+/**
+ * Module dependencies.
+ */
+
+const _ = require('lodash');
+
+/**
+ * Local dependencies.
+ */
+
+const dbQuery = require('./dbQuery');
+const createWriter = require('./exportWriter').createWriter;
+const prototypes = require('./../prototypes');
+
+/**
+ * Define the codebook columns.
+ */
+
+const CODEBOOK_COLUMNS = [
+  { header: 'column', key: 'column', width: 28 },
+  { header: 'key', key: 'key', width: 36 },
+  { header: 'assessment_id', key: 'assessmentId', width: 24 },
+  { header: 'assessment_name', key: 'assessmentName', width: 28 },
+  { header: 'subtest_id', key: 'subtestId', width: 24 },
+  { header: 'subtest_name', key: 'subtestName', width: 28 },
+  { header: 'prototype', key: 'prototype', width: 12 },
+  { header: 'question_prompt', key: 'questionPrompt', width: 40 },
+  { header: 'option_labels', key: 'optionLabels', width: 40 },
+  { header: 'value_coding', key: 'valueCoding', width: 40 },
+  { header: 'description', key: 'description', width: 60 }
+];
+
+/**
+ * Define the codebook formats and the descriptions of the columns that do not come from a subtest.
+ */
+
+const CODEBOOK_FORMATS = ['json', 'csv', 'tsv', 'xlsx'];
+
+const METADATA_DESCRIPTIONS = {
+  assessmentId: 'Id of the assessment',
+  assessmentName: 'Name of the assessment',
+  enumerator: 'Username of the enumerator, spaces replaced by dashes',
+  start_time: 'Date and time the assessment started, ISO 8601 in the group time zone',
+  end_time: 'Date and time the assessment was completed, ISO 8601 in the group time zone',
+  order_map: 'Order the subtests were shown in, comma separated',
+  userRole: 'Role of the enumerator',
+  mPesaNumber: 'M-Pesa number of the enumerator',
+  phoneNumber: 'Phone number of the enumerator',
+  fullName: 'Full name of the enumerator',
+  message: 'Message shown in the workflow',
+  isValid: 'Whether the result passed the authenticity checks',
+  isValidReason: 'Reasons the result passed or failed the authenticity checks, separated by semicolons',
+  suspectedDuplicates: 'Ids of the results suspected to duplicate this one, comma separated',
+  gpsDistance: 'Distance in meters between the first gps position and the coordinates of the school',
+  gpsOutOfRange: '1 when the gps position is further from the school than the gpsRadiusMeters of the group, else 0',
+  gpsLowAccuracy: '1 when the gps accuracy is above the gpsAccuracyMeters of the group, else 0'
+};
+
+const ASSESSMENT_FIELDS = ['assessmentId', 'assessmentName', 'enumerator', 'start_time', 'end_time', 'order_map'];
+
+const TIMESTAMP_DESCRIPTION = 'Date and time the subtest was completed, ISO 8601 in the group time zone';
+
+/**
+ * This function describes the columns of an export of a workflow or assessment.
+ *
+ * @param {string} id - workflow or assessment id.
+ * @param {Array} columns - export columns, see `getExportColumns` in `controllers/generate_csv`.
+ * @param {string} baseDbUrl - base database url.
+ * @param {Object} valueMaps - value maps the export is coded with, see `getValueMaps` in `prototypes/helpers`.
+ * @param {string} gridMode - grid mode of the group, see `prototypes/grid`.
+ *
+ * @returns {Array} - one codebook entry per column, in column order. Entries of coded
+ *   columns also have the `valueMap` they are coded with, the `optionValues` left as they are,
+ *   and the `codedValues` of the map and `optionLabelsByValue` of survey questions.
+ */
+
+const describeColumns = async function(id, columns, baseDbUrl, valueMaps, gridMode) {
+  const docs = {};
+  const retrieve = (docId) => {
+    docs[docId] = docs[docId] || dbQuery.retrieveDoc(docId, baseDbUrl).catch(() => undefined);
+    return docs[docId];
+  };
+  const sources = await getSourceAssessments(id, retrieve);
+  const entries = [];
+
+  // describe the columns of each subtest together, in column order.
+  for (let group of groupBySubtest(columns, id)) {
+    let subtest = group.subtestId && await retrieve(group.subtestId);
+    let descriptions = [];
+    let assessment;
+
+    if (subtest) {
+      let handler = prototypes.resolveHandler(subtest.prototype);
+      assessment = await retrieve(subtest.assessmentId || subtest.curriculumId);
+      descriptions = handler.describeColumns ? await handler.describeColumns(subtest, group.columns, { dbUrl: baseDbUrl, valueMaps, gridMode }) : [];
+    }
+
+    group.columns.forEach((column, index) => {
+      let entry = {
+        column: column.header,
+        key: column.key,
+        assessmentId: assessment ? assessment._id : undefined,
+        assessmentName: assessment ? assessment.name : undefined,
+        subtestId: subtest ? subtest._id : group.subtestId,
+        subtestName: subtest ? subtest.name : undefined,
+        prototype: subtest ? subtest.prototype : undefined
+      };
+
+      if (!group.subtestId) {
+        let name = column.key.replace(`${id}.`, '');
+        let field = METADATA_DESCRIPTIONS[name] ? name : name.replace(/_\d+$/, '');
+        let source = ASSESSMENT_FIELDS.indexOf(field) > -1 ? sources[Number((name.match(/_(\d+)$/) || [])[1]) || 0] : undefined;
+        entry.assessmentId = source && source._id;
+        entry.assessmentName = source && source.name;
+        entry.description = METADATA_DESCRIPTIONS[field];
+      } else if (/\.timestamp_\d+$/.test(column.key)) {
+        entry.description = TIMESTAMP_DESCRIPTION;
+      }
+      entries.push(_.assign(entry, _.omitBy(descriptions[index], _.isUndefined)));
+    });
+  }
+
+  return entries;
+}
+
+/**
+ * This function writes codebook entries to a stream.
+ *
+ * @param {Array} entries - codebook entries.
+ * @param {string} format - json, csv, tsv or xlsx.
+ * @param {Object} stream - writable stream.
+ *
+ * @returns {Promise} - resolves once the codebook has been written.
+ */
+
+const writeCodebook = async function(entries, format, stream) {
+  getCodebookFormat(format);
+
+  if (format === 'json') {
+    const records = entries.map((entry) => _.mapValues(_.keyBy(CODEBOOK_COLUMNS, 'header'), (column) => entry[column.key] || null));
+    return new Promise((resolve, reject) => {
+      stream.on('error', reject);
+      stream.end(JSON.stringify(records, null, 2), resolve);
+    });
+  }
+
+  const writer = createWriter(format, stream, CODEBOOK_COLUMNS, { sheetName: 'Codebook' });
+  for (let entry of entries) {
+    await writer.addRow(entry);
+  }
+  return writer.commit();
+}
+
+/**
+ * This function checks a codebook format.
+ * It throws when the format is not supported.
+ *
+ * @param {string} format - codebook format.
+ *
+ * @returns {string} - the format.
+ */
+
+const getCodebookFormat = (format) => {
+  if (CODEBOOK_FORMATS.indexOf(format) < 0) {
+    throw new Error(`Unsupported codebook format "${format}". Use one of: ${CODEBOOK_FORMATS.join(', ')}.`);
+  }
+  return format;
+}
+
+/**
+ * This function groups consecutive columns by the subtest their key starts with.
+ * Columns of the workflow or assessment itself have no subtest id.
+ *
+ * @param {Array} columns - export columns.
+ * @param {string} id - workflow or assessment id.
+ *
+ * @returns {Array} - groups of `{ subtestId, columns }`.
+ */
+
+function groupBySubtest(columns, id) {
+  const groups = [];
+
+  columns.forEach((column) => {
+    let prefix = column.key.indexOf('.') > -1 ? column.key.split('.')[0] : undefined;
+    let subtestId = prefix === id ? undefined : prefix;
+    let group = _.last(groups);
+
+    if (!group || group.subtestId !== subtestId) {
+      group = { subtestId: subtestId, columns: [] };
+      groups.push(group);
+    }
+    group.columns.push(column);
+  });
+  return groups;
+}
+
+/**
+ * This function lists the assessments of a workflow in the order their columns are generated,
+ * see `createWorkflowHeaders`. An assessment is its own only source.
+ *
+ * @param {string} id - workflow or assessment id.
+ * @param {Function} retrieve - retrieves a document of the base database by id.
+ *
+ * @returns {Array} - `{ _id, name }` of each source assessment.
+ */
+
+async function getSourceAssessments(id, retrieve) {
+  const doc = await retrieve(id);
+  if (!doc || !doc.children) {
+    return [{ _id: id, name: doc && doc.name }];
+  }
+
+  const sources = [];
+  const processed = [];
+
+  for (let item of doc.children) {
+    let isCurriculumProcessed = item.type === 'curriculum' && processed.indexOf(item.typesId) < 0;
+    if (item.type === 'assessment' || isCurriculumProcessed) {
+      let assessment = await retrieve(item.typesId);
+      sources.push({ _id: item.typesId, name: assessment ? assessment.name : item.name });
+    }
+    processed.push(item.typesId);
+  }
+  return sources;
+}
+
+exports.CODEBOOK_COLUMNS = CODEBOOK_COLUMNS;
+
+exports.describeColumns = describeColumns;
+
+exports.writeCodebook = writeCodebook;
+
+exports.getCodebookFormat = getCodebookFormat;
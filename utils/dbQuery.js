@@ -9,6 +9,19 @@
 const _ = require('lodash');
 const nano = require('nano');
 
+/**
+ * Local dependencies.
+ */
+
+const exportFilter = require('./exportFilter');
+const resultViews = require('./resultViews');
+
+/**
+ * Result databases whose views have been checked.
+ */
+
+const checkedViews = {};
+
 /**
  * This function retrieves all assessment collections in the database.
  *
@@ -135,24 +148,50 @@ exports.retrieveDoc = (docId, dbUrl) => {
 /**
  * This function saves/updates generated headers in the result database.
  *
+ * The headers document keeps the latest headers and every generation that changed
+ * them is also kept as a `header_version-<key>-<version>` document, so older exports
+ * can be reproduced. Headers saved before versioning are kept as the first version.
+ *
  * @param {Array} doc - document to be saved.
  * @param {string} key - key for indexing.
  * @param {string} dbUrl - url of the result database.
+ * @param {Object} source - id and revision of the document the headers were generated from.
  *
  * @returns {Object} - saved document.
  */
 
-exports.saveHeaders = (doc, key, dbUrl) => {
+exports.saveHeaders = (doc, key, dbUrl, source = {}) => {
   const RESULT_DB = nano(dbUrl);
   return new Promise((resolve, reject) => {
-    RESULT_DB.get(key, (error, existingDoc) => {
+    RESULT_DB.get(key, async(error, existingDoc) => {
       let docObj = { column_headers: doc };
       docObj.updated_at = new Date().toISOString();
+      docObj.source_id = source.id;
+      docObj.source_rev = source.rev;
 
-      // if doc exists update it using its revision number.
-      if (!error) {
-        docObj = _.assignIn(existingDoc, docObj);
+      try {
+        let version = 0;
+        let isChanged = true;
+
+        // if doc exists update it using its revision number.
+        if (!error) {
+          version = existingDoc.version || 0;
+          isChanged = !_.isEqual(existingDoc.column_headers, doc);
+          if (!existingDoc.version && existingDoc.column_headers) {
+            await saveHeaderVersion(RESULT_DB, key, 1, existingDoc);
+            version = 1;
+          }
+          docObj = _.assignIn(existingDoc, docObj);
+        }
+        if (isChanged) {
+          version++;
+          await saveHeaderVersion(RESULT_DB, key, version, docObj);
+        }
+        docObj.version = version;
+      } catch (err) {
+        return reject(err);
       }
+
       RESULT_DB.insert(docObj, key, (err, body) => {
         if (err) {
           reject(err);
@@ -165,6 +204,98 @@ exports.saveHeaders = (doc, key, dbUrl) => {
   });
 }
 
+/**
+ * This function saves a version of generated headers.
+ *
+ * @param {Object} RESULT_DB - result database.
+ * @param {string} key - key of the headers document.
+ * @param {number} version - version number.
+ * @param {Object} headerDoc - headers document.
+ *
+ * @returns {Promise} - resolves once saved.
+ */
+
+function saveHeaderVersion(RESULT_DB, key, version, headerDoc) {
+  const versionDoc = {
+    type: 'header_version',
+    parent_id: key,
+    version: version,
+    column_headers: headerDoc.column_headers,
+    created_at: headerDoc.updated_at,
+    source_id: headerDoc.source_id,
+    source_rev: headerDoc.source_rev
+  };
+
+  return new Promise((resolve, reject) => {
+    RESULT_DB.insert(versionDoc, getHeaderVersionId(key, version), (err, body) => err ? reject(err) : resolve(body));
+  });
+}
+
+/**
+ * This function builds the id of a header version document.
+ * Versions are zero padded so they sort in order.
+ *
+ * @param {string} key - key of the headers document.
+ * @param {number} version - version number.
+ *
+ * @returns {string} - e.g. `header_version-a1234567890-000003`.
+ */
+
+function getHeaderVersionId(key, version) {
+  return `header_version-${key}-${_.padStart(version, 6, '0')}`;
+}
+
+/**
+ * This function lists the versions of generated headers, oldest first.
+ *
+ * @param {string} key - key of the headers document.
+ * @param {string} dbUrl - result database url.
+ *
+ * @returns {Array} - header version documents.
+ */
+
+exports.getHeaderVersions = (key, dbUrl) => {
+  const RESULT_DB = nano(dbUrl);
+  return new Promise((resolve, reject) => {
+    RESULT_DB.list({
+      startkey: `header_version-${key}-`,
+      endkey: `header_version-${key}-\ufff0`,
+      include_docs: true
+    }, (err, body) => {
+      if (err) {
+        reject(err);
+      }
+      else {
+        resolve(body.rows.map((row) => row.doc));
+      }
+    });
+  });
+}
+
+/**
+ * This function retrieves generated headers, either the latest or a given version.
+ *
+ * @param {string} key - key of the headers document.
+ * @param {string} dbUrl - result database url.
+ * @param {number} version - header version, the latest if not given.
+ *
+ * @returns {Object} - headers document with `_id`, `version` and `column_headers`.
+ */
+
+exports.retrieveHeaders = (key, dbUrl, version) => {
+  if (!version) {
+    return exports.retrieveDoc(key, dbUrl);
+  }
+  return exports.retrieveDoc(getHeaderVersionId(key, version), dbUrl)
+    .then((versionDoc) => _.assign({}, versionDoc, { _id: key }))
+    .catch((err) => {
+      if (err.statusCode === 404) {
+        throw new Error(`Header version ${version} of ${key} does not exist.`);
+      }
+      throw err;
+    });
+}
+
 /**
  * This function saves/updates processed result in the result database.
  *
@@ -188,6 +319,15 @@ exports.saveResult = (doc, dbUrl) => {
     result_day : cloneDoc.indexKeys.day,
     result_month: cloneDoc.indexKeys.month,
     result_year: cloneDoc.indexKeys.year,
+    location: cloneDoc.indexKeys.location,
+    location_ids: cloneDoc.indexKeys.locationIds,
+    enumerator: cloneDoc.indexKeys.enumerator,
+    participant_id: cloneDoc.indexKeys.participantId,
+    start_timestamp: cloneDoc.indexKeys.startTimestamp,
+    fallback: cloneDoc.indexKeys.fallback,
+    value_maps: cloneDoc.indexKeys.valueMaps,
+    value_states: cloneDoc.indexKeys.valueStates,
+    failed_rules: cloneDoc.indexKeys.failedRules,
     processed_results: doc
   };
 
@@ -293,6 +433,311 @@ exports.getProcessedResults = function (ref, dbUrl) {
   });
 }
 
+/**
+ * This function pages through a view and hands each page of rows to a callback.
+ * The next page is only requested once the callback has finished with the
+ * previous one, so large result sets are never held in memory at once.
+ *
+ * @param {string} dbUrl - database url.
+ * @param {string} designDoc - name of the design document.
+ * @param {string} viewName - name of the view.
+ * @param {Object} params - view query parameters, using `startkey` and `endkey` for ranges.
+ * @param {Function} onRows - async function called with each page of rows.
+ * @param {number} pageSize - number of rows per page.
+ *
+ * @returns {number} - total number of rows read.
+ */
+
+exports.pageView = async(dbUrl, designDoc, viewName, params, onRows, pageSize = 500) => {
+  const DB = nano(dbUrl);
+  let query = _.assign({}, params, { limit: pageSize });
+  let total = 0;
+  let rows;
+
+  do {
+    rows = await new Promise((resolve, reject) => {
+      DB.view(designDoc, viewName, query, (err, body) => {
+        if (err) {
+          reject(err);
+        }
+        else {
+          resolve(body.rows);
+        }
+      });
+    });
+
+    if (rows.length) {
+      total += rows.length;
+      await onRows(rows);
+
+      // continue after the last row read.
+      let lastRow = _.last(rows);
+      query = _.assign({}, query, { startkey: lastRow.key, startkey_docid: lastRow.id, skip: 1 });
+    }
+  } while (rows.length === pageSize);
+
+  return total;
+}
+
+/**
+ * This function pages through all processed results matching an export filter.
+ *
+ * @param {Object} filter - export filter, see `utils/exportFilter`.
+ * @param {string} dbUrl - result database url.
+ * @param {Function} onRows - async function called with each page of rows.
+ * @param {number} pageSize - number of rows per page.
+ *
+ * @returns {number} - total number of rows read.
+ */
+
+exports.pageProcessedResults = async(filter, dbUrl, onRows, pageSize) => {
+  let total = 0;
+  await exports.ensureResultViews(dbUrl);
+
+  for (let range of exportFilter.getViewRanges(filter)) {
+    const params = _.assign({ include_docs: true }, _.omit(range, 'view'));
+    await exports.pageView(dbUrl, 'reporting', range.view, params, async(rows) => {
+      rows = rows.filter((row) => exportFilter.matchesFilter(row.doc, filter));
+      total += rows.length;
+      if (rows.length) {
+        await onRows(rows);
+      }
+    }, pageSize);
+  }
+  return total;
+}
+
+/**
+ * This function counts the processed results matching an export filter.
+ *
+ * @param {Object} filter - export filter, see `utils/exportFilter`.
+ * @param {string} dbUrl - result database url.
+ *
+ * @returns {number} - number of processed results.
+ */
+
+exports.countProcessedResults = async(filter, dbUrl) => {
+  let total = 0;
+  await exports.ensureResultViews(dbUrl);
+
+  const includeDocs = exportFilter.needsDocuments(filter);
+
+  for (let range of exportFilter.getViewRanges(filter)) {
+    const params = _.assign({ include_docs: includeDocs }, _.omit(range, 'view'));
+    await exports.pageView(dbUrl, 'reporting', range.view, params, (rows) => {
+      total += includeDocs ? rows.filter((row) => exportFilter.matchesFilter(row.doc, filter)).length : rows.length;
+    }, includeDocs ? 500 : 5000);
+  }
+  return total;
+}
+
+/**
+ * This function retrieves the most recent processed results of a workflow or assessment.
+ *
+ * @param {string} parentId - workflow or assessment id.
+ * @param {string} dbUrl - result database url.
+ * @param {number} size - maximum number of results.
+ *
+ * @returns {Array} - processed result documents, most recent first.
+ */
+
+exports.sampleProcessedResults = async(parentId, dbUrl, size) => {
+  const RESULT_DB = nano(dbUrl);
+  await exports.ensureResultViews(dbUrl);
+
+  return new Promise((resolve, reject) => {
+    RESULT_DB.view('reporting', 'byParentDate', {
+      startkey: [parentId, {}],
+      endkey: [parentId],
+      descending: true,
+      limit: size,
+      include_docs: true
+    }, (err, body) => {
+      if (err) {
+        reject(err);
+      }
+      else {
+        resolve(body.rows.map((row) => row.doc));
+      }
+    });
+  });
+}
+
+/**
+ * This function lists the observations of an enumerator that started within a time range.
+ *
+ * @param {string} enumerator - enumerator username.
+ * @param {number} from - start of the range, in milliseconds since the epoch.
+ * @param {number} to - end of the range, in milliseconds since the epoch.
+ * @param {string} dbUrl - result database url.
+ * @param {boolean} includeDocs - whether to include the processed result documents.
+ *
+ * @returns {Array} - `{ id, parentId, startTimestamp, doc }` of each observation, earliest first.
+ */
+
+exports.getEnumeratorObservations = async(enumerator, from, to, dbUrl, includeDocs = false) => {
+  const RESULT_DB = nano(dbUrl);
+  await exports.ensureResultViews(dbUrl);
+
+  return new Promise((resolve, reject) => {
+    RESULT_DB.view('reporting', 'byEnumerator', {
+      startkey: [enumerator, from],
+      endkey: [enumerator, to],
+      include_docs: includeDocs
+    }, (err, body) => {
+      if (err) {
+        reject(err);
+      }
+      else {
+        resolve(body.rows.map((row) => ({ id: row.id, parentId: row.value, startTimestamp: row.key[1], doc: row.doc })));
+      }
+    });
+  });
+}
+
+/**
+ * This function saves the suspected duplicates of a processed result, also
+ * in its processed results as the comma separated `suspectedDuplicates` column.
+ *
+ * @param {string} id - processed result id.
+ * @param {Array} duplicates - ids of the processed results it is suspected to duplicate.
+ * @param {string} dbUrl - result database url.
+ *
+ * @returns {Object} - couchDB save response.
+ */
+
+exports.saveSuspectedDuplicates = (id, duplicates, dbUrl) => {
+  const RESULT_DB = nano(dbUrl);
+
+  return new Promise((resolve, reject) => {
+    RESULT_DB.get(id, (error, doc) => {
+      if (error) {
+        return reject(error);
+      }
+      doc.suspected_duplicates = duplicates;
+      doc.processed_results = _.assign({}, doc.processed_results, { suspectedDuplicates: duplicates.join(',') });
+      RESULT_DB.insert(doc, id, (err, body) => {
+        if (err) {
+          reject(err);
+        }
+        else {
+          resolve(body);
+        }
+      });
+    });
+  });
+}
+
+/**
+ * This function saves the failed authenticity rules of a processed result found
+ * after it was processed, and marks it as not valid in its processed results.
+ *
+ * @param {string} id - processed result id.
+ * @param {Array} failedRules - names of every rule the result failed.
+ * @param {string} reason - reasons of the failed rules.
+ * @param {string} dbUrl - result database url.
+ *
+ * @returns {Object} - couchDB save response.
+ */
+
+exports.saveFailedRules = (id, failedRules, reason, dbUrl) => {
+  const RESULT_DB = nano(dbUrl);
+
+  return new Promise((resolve, reject) => {
+    RESULT_DB.get(id, (error, doc) => {
+      if (error) {
+        return reject(error);
+      }
+      doc.failed_rules = failedRules;
+      doc.processed_results = _.assign({}, doc.processed_results, { isValid: false, isValidReason: reason });
+      RESULT_DB.insert(doc, id, (err, body) => {
+        if (err) {
+          reject(err);
+        }
+        else {
+          resolve(body);
+        }
+      });
+    });
+  });
+}
+
+/**
+ * This function lists the subtests of a workflow or assessment that were handled
+ * by the generic prototype fallback, with their columns.
+ *
+ * @param {string} parentId - workflow or assessment id.
+ * @param {string} dbUrl - result database url.
+ *
+ * @returns {Array} - `{ subtestId, prototype, column, count }` entries, where `column`
+ *   is null for subtests without data and `count` is the number of results.
+ */
+
+exports.getFallbackColumns = async(parentId, dbUrl) => {
+  const RESULT_DB = nano(dbUrl);
+  await exports.ensureResultViews(dbUrl);
+
+  return new Promise((resolve, reject) => {
+    RESULT_DB.view('reporting', 'fallbackColumns', {
+      startkey: [parentId],
+      endkey: [parentId, {}],
+      group: true
+    }, (err, body) => {
+      if (err) {
+        reject(err);
+      }
+      else {
+        resolve(body.rows.map((row) => ({
+          subtestId: row.key[1],
+          prototype: row.key[2],
+          column: row.key[3],
+          count: row.value
+        })));
+      }
+    });
+  });
+}
+
+/**
+ * This function creates or updates the views this app needs in the result database.
+ * Each database is only checked once per process.
+ *
+ * @param {string} dbUrl - result database url.
+ *
+ * @returns {Object} - the design document.
+ */
+
+exports.ensureResultViews = (dbUrl) => {
+  const RESULT_DB = nano(dbUrl);
+  if (checkedViews[dbUrl]) {
+    return checkedViews[dbUrl];
+  }
+
+  checkedViews[dbUrl] = new Promise((resolve, reject) => {
+    RESULT_DB.get(resultViews._id, (error, existingDoc) => {
+      let docObj = _.clone(resultViews);
+
+      if (!error) {
+        if (_.isEqual(existingDoc.views, resultViews.views)) {
+          return resolve(existingDoc);
+        }
+        docObj._rev = existingDoc._rev;
+      }
+      RESULT_DB.insert(docObj, resultViews._id, (err, body) => {
+        if (err) {
+          reject(err);
+        }
+        else {
+          resolve(body);
+        }
+      });
+    });
+  });
+  checkedViews[dbUrl].catch(() => delete checkedViews[dbUrl]);
+
+  return checkedViews[dbUrl];
+}
+
 /**
  * This function retrieves a result document.
  *
@@ -319,10 +764,19 @@ exports.getResults = function(id, dbUrl) {
   });
 }
 
-exports.checkUpdateSequence = (dbUrl) => {
+/**
+ * This function retrieves the last processed sequence of the changes feed.
+ *
+ * @param {string} dbUrl - result database url.
+ * @param {string} key - id of the sequence document.
+ *
+ * @returns {Object} - last update sequence document.
+ */
+
+exports.checkUpdateSequence = (dbUrl, key = 'last_update_sequence') => {
   const DB = nano(dbUrl);
   return new Promise((resolve, reject) => {
-    DB.get('last_update_sequence', (err, obj) => {
+    DB.get(key, (err, obj) => {
       if (err) {
         reject(err);
       }
@@ -333,6 +787,15 @@ exports.checkUpdateSequence = (dbUrl) => {
   });
 };
 
+/**
+ * This function saves/updates the last processed sequence of the changes feed.
+ *
+ * @param {string} dbUrl - result database url.
+ * @param {Object} doc - sequence document, saved under its `key`.
+ *
+ * @returns {Object} - saved document.
+ */
+
 exports.saveUpdateSequence = (dbUrl, doc) => {
   const DB = nano(dbUrl)
   return new Promise((resolve, reject) => {
@@ -352,6 +815,139 @@ exports.saveUpdateSequence = (dbUrl, doc) => {
   });
 };
 
+/**
+ * This function saves a changed document that kept failing to process
+ * in the result database, so it can be inspected and processed again later.
+ *
+ * @param {Object} change - change object from the changes feed.
+ * @param {Object} error - error thrown by the last attempt.
+ * @param {number} attempts - number of attempts made.
+ * @param {string} dbUrl - result database url.
+ *
+ * @returns {Object} - saved document.
+ */
+
+exports.saveDeadLetter = (change, error, attempts, dbUrl) => {
+  const RESULT_DB = nano(dbUrl);
+  const docKey = `dead_letter-${change.id}`;
+  let docObj = {
+    type: 'dead_letter',
+    doc_id: change.id,
+    doc_rev: change.doc && change.doc._rev,
+    collection: change.doc && change.doc.collection,
+    seq: change.seq,
+    attempts: attempts,
+    error: error && (error.message || error.reason || String(error)),
+    failed_at: new Date().toISOString()
+  };
+
+  return new Promise((resolve, reject) => {
+    RESULT_DB.get(docKey, (error, existingDoc) => {
+      // if doc exists update it using its revision number.
+      if (!error) {
+        docObj._rev = existingDoc._rev;
+      }
+      RESULT_DB.insert(docObj, docKey, (err, body) => {
+        if (err) {
+          reject(err);
+        }
+        else {
+          resolve(body);
+        }
+      });
+    });
+  });
+}
+
+/**
+ * This function records a generated export file in the result database, in an
+ * `export_manifest-<filename>` document with its row count and the header version it used.
+ *
+ * @param {Object} entry - details of the generated file.
+ * @param {string} dbUrl - result database url.
+ *
+ * @returns {Object} - saved document.
+ */
+
+exports.saveExportManifest = (entry, dbUrl) => {
+  const RESULT_DB = nano(dbUrl);
+  const docKey = `export_manifest-${entry.filename}`;
+
+  return new Promise((resolve, reject) => {
+    RESULT_DB.get(docKey, (error, existingDoc) => {
+      let docObj = _.assign({ type: 'export_manifest' }, entry);
+      if (!error) {
+        docObj._rev = existingDoc._rev;
+      }
+
+      RESULT_DB.insert(docObj, docKey, (err, body) => {
+        if (err) {
+          reject(err);
+        }
+        else {
+          resolve(body);
+        }
+      });
+    });
+  });
+}
+
+/**
+ * This function lists the generated export files recorded in the result database, oldest name first.
+ *
+ * @param {string} dbUrl - result database url.
+ *
+ * @returns {Array} - export manifest documents.
+ */
+
+exports.getExportManifests = (dbUrl) => {
+  const RESULT_DB = nano(dbUrl);
+  return new Promise((resolve, reject) => {
+    RESULT_DB.list({
+      startkey: 'export_manifest-',
+      endkey: 'export_manifest-\ufff0',
+      include_docs: true
+    }, (err, body) => {
+      if (err) {
+        reject(err);
+      }
+      else {
+        resolve(body.rows.map((row) => row.doc));
+      }
+    });
+  });
+}
+
+/**
+ * This function removes the record of an export file, once the file has been deleted.
+ *
+ * @param {string} filename - name of the export file.
+ * @param {string} dbUrl - result database url.
+ *
+ * @returns {Object} - delete response, or undefined when the file was not recorded.
+ */
+
+exports.deleteExportManifest = (filename, dbUrl) => {
+  const RESULT_DB = nano(dbUrl);
+  const docKey = `export_manifest-${filename}`;
+
+  return new Promise((resolve, reject) => {
+    RESULT_DB.get(docKey, (error, existingDoc) => {
+      if (error) {
+        return error.statusCode === 404 ? resolve() : reject(error);
+      }
+      RESULT_DB.destroy(docKey, existingDoc._rev, (err, body) => {
+        if (err) {
+          reject(err);
+        }
+        else {
+          resolve(body);
+        }
+      });
+    });
+  });
+}
+
 exports.processedResultsById = function (req, res) {
   const RESULT_DB = nano(req.body.result_db);
   RESULT_DB.view('dashReporting', 'byParentId', {
@@ -425,3 +1021,29 @@ exports.getSettings = function (dbUrl) {
     });
   });
 }
+
+/**
+ * @description – This function retrieves the scoring rules of the group.
+ * A group without a scoring document is scored with the default rules.
+ *
+ * @param {string} dbUrl - base database url.
+ *
+ * @returns {Object} - scoring document, empty if there is none.
+ */
+
+exports.getScoringRules = function (dbUrl) {
+  const BASE_DB = nano(dbUrl);
+  return new Promise((resolve, reject) => {
+    BASE_DB.get('scoring', (err, body) => {
+      if (err && err.statusCode === 404) {
+        resolve({});
+      }
+      else if (err) {
+        reject(err);
+      }
+      else {
+        resolve(body);
+      }
+    });
+  });
+}
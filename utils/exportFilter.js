@@ -0,0 +1,370 @@
+/**
+ * This file builds export filters from request or command line input
+ * and turns them into key ranges of the `reporting/byParentDate` or
+ * `reporting/byLocation` views.
+ *
+ * A filter narrows the processed results of a workflow either by a
+ * start and end date or by a list of months, and optionally by location,
+ * e.g. a county, or a zone and a school, at any level of `locationsLevels`,
+ * by label or by id, and by the validity flag set by `validateResult`.
+ */
+
+/**
+ * Module dependencies.
+ */
+
+const _ = require('lodash');
+const moment = require('moment');
+
+/**
+ * Define month names as saved in `result_month` of processed results.
+ */
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+/**
+ * Define the accepted validity filters.
+ */
+
+const VALIDITY = ['all', 'valid', 'invalid'];
+
+/**
+ * This function builds an export filter.
+ *
+ * Accepted input:
+ *
+ *    {
+ *      "workflowId": "a1234567890",
+ *      "startDate": "2018-01-08",         // inclusive, YYYY-MM-DD
+ *      "endDate": "2018-04-06",           // inclusive, YYYY-MM-DD
+ *      "months": "2018-01,2018-02",       // or an array of YYYY-MM values
+ *      "year": "2018",                    // with month, the single month export
+ *      "month": "Jan",                    // Jan, jan, January, 1 or a list of them
+ *      "location": { "county": "Nairobi" }, // or a JSON string, or "county=Nairobi,zone=Kilimani"
+ *      "location_zone": "z1234567890",      // a single level by label or id, as sent by the web form
+ *      "validity": "valid"                  // all (default), valid or invalid
+ *    }
+ *
+ * @param {Object} input - request body, route parameters or command line options.
+ *
+ * @returns {Object} - export filter.
+ */
+
+const getExportFilter = (input) => {
+  const filter = {
+    workflowId: input.workflowId || input.id,
+    startDate: parseDate(input.startDate, 'start date'),
+    endDate: parseDate(input.endDate, 'end date'),
+    months: [],
+    location: parseLocation(input),
+    validity: parseValidity(input.validity)
+  };
+
+  let year = getFormValue(input.year);
+  let months = toList(input.months);
+  let legacyMonths = toList(getFormValue(input.month));
+
+  months.forEach((value) => {
+    let parts = String(value).split('-');
+    filter.months.push({ year: parseYear(parts[0]), month: parseMonth(parts[1]) });
+  });
+  if (year && legacyMonths.length) {
+    legacyMonths.forEach((value) => filter.months.push({ year: parseYear(year), month: parseMonth(value) }));
+  }
+  filter.months = _.sortBy(_.uniqBy(filter.months, (item) => `${item.year}-${item.month}`), ['year', 'month']);
+
+  if (filter.months.length && (filter.startDate || filter.endDate)) {
+    throw new Error('Filter by a start and end date or by a list of months, not both.');
+  }
+  if (filter.startDate && filter.endDate && filter.startDate > filter.endDate) {
+    throw new Error('The start date must be before the end date.');
+  }
+
+  return filter;
+}
+
+/**
+ * This function turns an export filter into view ranges.
+ *
+ * Without a location the `reporting/byParentDate` view is used, keyed on
+ * `[parent_id, year, month, day]` with months numbered 1 to 12. With a location
+ * the `reporting/byLocation` view is used on its last, most specific level,
+ * keyed on `[parent_id, level, location, year, month, day]`; any other
+ * levels are checked with `matchesFilter`. Results without a date are only
+ * in the range of filters without a date.
+ *
+ * @param {Object} filter - export filter.
+ *
+ * @returns {Array} - view name and query parameters, one per key range.
+ */
+
+const getViewRanges = (filter) => {
+  const level = _.last(_.keys(filter.location));
+  const prefix = level ? [filter.workflowId, level, filter.location[level]] : [filter.workflowId];
+  const view = level ? 'byLocation' : 'byParentDate';
+
+  if (filter.months.length) {
+    return filter.months.map((item) => ({
+      view: view,
+      startkey: prefix.concat([item.year, item.month]),
+      endkey: prefix.concat([item.year, item.month, {}])
+    }));
+  }
+
+  return [{
+    view: view,
+    startkey: filter.startDate ? prefix.concat(toKeyParts(filter.startDate)) : filter.endDate ? prefix.concat([0]) : prefix,
+    endkey: filter.endDate ? prefix.concat(toKeyParts(filter.endDate)) : prefix.concat([{}])
+  }];
+}
+
+/**
+ * This function checks a processed result document against the validity
+ * and all location levels of a filter.
+ * Results without a validity flag are only exported when filtering by `all`.
+ *
+ * @param {Object} doc - processed result document.
+ * @param {Object} filter - export filter.
+ *
+ * @returns {boolean} - true if the document matches.
+ */
+
+const matchesFilter = (doc, filter) => {
+  const isValid = _.get(doc, ['processed_results', 'isValid']);
+
+  if ((filter.validity === 'valid' && isValid !== true) || (filter.validity === 'invalid' && isValid !== false)) {
+    return false;
+  }
+  return _.every(filter.location, (value, level) => {
+    return normalizeLocation(_.get(doc, ['location', level])) === value || normalizeLocation(_.get(doc, ['location_ids', level])) === value;
+  });
+}
+
+/**
+ * This function tells whether `matchesFilter` needs the documents of the view rows,
+ * i.e. whether the view ranges alone do not narrow the results enough.
+ *
+ * @param {Object} filter - export filter.
+ *
+ * @returns {boolean} - true if documents must be checked.
+ */
+
+const needsDocuments = (filter) => _.size(filter.location) > 1 || (filter.validity && filter.validity !== 'all');
+
+/**
+ * This function normalizes a location label the way the `reporting/byLocation` view does:
+ * trimmed and lower-cased, with each run of whitespace replaced by a dash.
+ *
+ * @param {string} value - location label, e.g. ` Nairobi  County`.
+ *
+ * @returns {string} - e.g. `nairobi-county`.
+ */
+
+const normalizeLocation = (value) => {
+  return value === undefined || value === null ? '' : String(value).trim().toLowerCase().replace(/\s+/g, '-');
+}
+
+/**
+ * This function turns a level label into a level name, the way location
+ * subtests key their locations, e.g. `SchoolName` into `school` or
+ * `Sub County` into `sub_county`.
+ *
+ * @param {string} label - level label.
+ *
+ * @returns {string|undefined} - level name.
+ */
+
+const getLevelName = (label) => {
+  if (!label) {
+    return undefined;
+  }
+  const name = String(label).trim().toLowerCase().replace(/\s+/g, '_');
+  return name === 'schoolname' ? 'school' : name;
+}
+
+/**
+ * This function describes the period of an export filter, e.g. for file names.
+ *
+ * @param {Object} filter - export filter.
+ *
+ * @returns {string} - `all`, `2018_jan`, `2018_jan-feb` or `20180108-20180406`.
+ */
+
+const describePeriod = (filter) => {
+  if (filter.months.length) {
+    return _.map(_.groupBy(filter.months, 'year'), (items, year) => {
+      return `${year}_${items.map((item) => MONTHS[item.month - 1].toLowerCase()).join('-')}`;
+    }).join('_');
+  }
+  if (filter.startDate || filter.endDate) {
+    let start = filter.startDate ? filter.startDate.replace(/-/g, '') : 'start';
+    let end = filter.endDate ? filter.endDate.replace(/-/g, '') : 'now';
+    return `${start}-${end}`;
+  }
+  return 'all';
+}
+
+/**
+ * This function ignores the placeholder value of an unselected form field.
+ *
+ * @param {string} value - form field value.
+ *
+ * @returns {string|undefined} - the value, unless it is a placeholder.
+ */
+
+const getFormValue = (value) => value === 'hide' || value === '' ? undefined : value;
+
+/**
+ * This function turns a list or a comma separated string into an array.
+ *
+ * @param {Array|string} value - list of values.
+ *
+ * @returns {Array} - values without placeholders.
+ */
+
+function toList(value) {
+  let list = _.isArray(value) ? value : value ? String(value).split(',') : [];
+  return list.map((item) => String(item).trim()).filter((item) => getFormValue(item));
+}
+
+/**
+ * This function reads the location levels of a filter.
+ *
+ * @param {Object} input - filter input.
+ *
+ * @returns {Object} - normalized location by level name, see `getLevelName`, in the order given.
+ */
+
+function parseLocation(input) {
+  let location = _.clone(input.location) || {};
+
+  if (_.isString(location)) {
+    let text = location.trim();
+    if (text.charAt(0) === '{') {
+      try {
+        location = JSON.parse(text);
+      } catch (err) {
+        throw new Error(`Invalid location "${text}".`);
+      }
+    } else {
+      location = _.fromPairs(toList(text).map((pair) => {
+        let parts = pair.split('=');
+        if (parts.length !== 2 || !parts[0].trim()) {
+          throw new Error(`Invalid location "${pair}", expected level=name.`);
+        }
+        return [parts[0].trim(), parts[1]];
+      }));
+    }
+  }
+
+  _.forEach(input, (value, key) => {
+    if (_.startsWith(key, 'location_')) {
+      location[key.substr('location_'.length)] = value;
+    }
+  });
+
+  location = _.mapKeys(location, (value, level) => getLevelName(level) || '');
+  return _.omitBy(_.mapValues(location, (value) => normalizeLocation(getFormValue(value))), (value, level) => !value || !level);
+}
+
+/**
+ * This function validates a validity filter.
+ *
+ * @param {string} value - all, valid or invalid.
+ *
+ * @returns {string} - validity filter, `all` if not given.
+ */
+
+function parseValidity(value) {
+  let validity = String(getFormValue(value) || 'all').trim().toLowerCase();
+  if (VALIDITY.indexOf(validity) < 0) {
+    throw new Error(`Invalid validity "${value}". Use one of: ${VALIDITY.join(', ')}.`);
+  }
+  return validity;
+}
+
+/**
+ * This function validates a YYYY-MM-DD date.
+ *
+ * @param {string} value - date.
+ * @param {string} name - name of the field for error messages.
+ *
+ * @returns {string|undefined} - the date, if given.
+ */
+
+function parseDate(value, name) {
+  value = getFormValue(value);
+  if (!value) {
+    return undefined;
+  }
+  if (!moment(value, 'YYYY-MM-DD', true).isValid()) {
+    throw new Error(`Invalid ${name} "${value}", expected YYYY-MM-DD.`);
+  }
+  return value;
+}
+
+/**
+ * This function validates a year.
+ *
+ * @param {string} value - year.
+ *
+ * @returns {number} - year.
+ */
+
+function parseYear(value) {
+  let year = Number(value);
+  if (!/^\d{4}$/.test(String(value).trim())) {
+    throw new Error(`Invalid year "${value}".`);
+  }
+  return year;
+}
+
+/**
+ * This function turns a month name or number into a month number from 1 to 12.
+ *
+ * @param {string} value - e.g. `Jan`, `jan`, `January`, `1` or `01`.
+ *
+ * @returns {number} - month number.
+ */
+
+function parseMonth(value) {
+  let text = String(value).trim();
+  let month = /^\d{1,2}$/.test(text) ? Number(text) : MONTHS.indexOf(_.capitalize(text.substr(0, 3))) + 1;
+
+  if (!(month >= 1 && month <= 12)) {
+    throw new Error(`Invalid month "${value}".`);
+  }
+  return month;
+}
+
+/**
+ * This function turns a YYYY-MM-DD date into `[year, month, day]` view key parts.
+ *
+ * @param {string} date - date.
+ *
+ * @returns {Array} - key parts.
+ */
+
+function toKeyParts(date) {
+  return date.split('-').map(Number);
+}
+
+exports.MONTHS = MONTHS;
+
+exports.getExportFilter = getExportFilter;
+
+exports.getViewRanges = getViewRanges;
+
+exports.VALIDITY = VALIDITY;
+
+exports.matchesFilter = matchesFilter;
+
+exports.needsDocuments = needsDocuments;
+
+exports.normalizeLocation = normalizeLocation;
+
+exports.getLevelName = getLevelName;
+
+exports.describePeriod = describePeriod;
+
+exports.getFormValue = getFormValue;
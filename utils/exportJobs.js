@@ -0,0 +1,267 @@
+/**
+ * This file keeps track of export jobs.
+ *
+ * An export job runs in the background through a work queue and records
+ * its progress, so clients can poll for its status and download the file
+ * once it is ready. Finished jobs and their files expire after a while.
+ *
+ * Jobs are kept in memory, while completed exports are also recorded in
+ * export manifest documents, so their files can still be downloaded and
+ * are still expired after a restart.
+ */
+
+/**
+ * Module dependencies.
+ */
+
+const _ = require('lodash');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Local dependencies.
+ */
+
+const dbConfig = require('./../config');
+const dbQuery = require('./dbQuery');
+const createWorkQueue = require('./workQueue').createWorkQueue;
+
+/**
+ * Define the job store, job queue and expiry settings.
+ */
+
+const jobs = new Map();
+
+const EXPORT_TTL_MINUTES = dbConfig.export_ttl_minutes || 24 * 60;
+const CLEANUP_INTERVAL_MINUTES = 10;
+
+const queue = createWorkQueue((job) => runJob(job), {
+  concurrency: dbConfig.export_concurrency || 1,
+  limit: Infinity,
+  maxRetries: 0
+});
+
+/**
+ * This function submits a new export job.
+ *
+ * @param {Object} params - job details, e.g. workflow id, query id, format and the result database url.
+ * @param {Function} task - async function called with the job; it updates
+ *   `job.rowsWritten` and `job.totalRows` and returns the path of the generated file.
+ *
+ * @returns {Object} - the submitted job.
+ */
+
+const submitJob = (params, task) => {
+  const job = _.assign({}, params, {
+    id: crypto.randomBytes(8).toString('hex'),
+    status: 'queued',
+    rowsWritten: 0,
+    totalRows: null,
+    createdAt: new Date().toISOString(),
+    task: task
+  });
+
+  jobs.set(job.id, job);
+  queue.push(job.id, job);
+
+  return job;
+}
+
+/**
+ * This function runs an export job and records its outcome.
+ * A failed job keeps no file, its partial files are removed by the task.
+ *
+ * @param {Object} job - export job.
+ */
+
+async function runJob(job) {
+  job.status = 'running';
+  job.startedAt = new Date().toISOString();
+
+  try {
+    job.filepath = await job.task(job);
+    job.status = 'completed';
+  } catch (err) {
+    job.status = 'failed';
+    job.filepath = undefined;
+    job.error = err.message || err.reason || String(err);
+    console.error(err);
+  }
+  job.completedAt = new Date().toISOString();
+}
+
+/**
+ * This function retrieves an export job.
+ *
+ * @param {string} jobId - id of the job.
+ *
+ * @returns {Object|undefined} - the job, if it exists.
+ */
+
+const getJob = (jobId) => jobs.get(jobId);
+
+/**
+ * This function retrieves an export job, or a completed job of a previous run
+ * of the app from the export manifest documents of the result database.
+ *
+ * @param {string} jobId - id of the job.
+ * @param {string} resultDbUrl - result database url.
+ *
+ * @returns {Object|undefined} - the job, if it exists.
+ */
+
+const findJob = async(jobId, resultDbUrl = dbConfig.result_db) => {
+  if (jobs.has(jobId)) {
+    return jobs.get(jobId);
+  }
+  const manifest = _.find(await dbQuery.getExportManifests(resultDbUrl), { job_id: jobId });
+
+  return manifest && {
+    id: jobId,
+    status: 'completed',
+    workflowId: manifest.workflow_id,
+    filter: manifest.filter,
+    format: manifest.format,
+    rowsWritten: manifest.row_count,
+    totalRows: manifest.row_count,
+    createdAt: manifest.generated_at,
+    completedAt: manifest.generated_at,
+    filepath: manifest.filepath
+  };
+}
+
+/**
+ * This function describes a job for API responses.
+ * The download url is only given once the file has been completed.
+ *
+ * @param {Object} job - export job.
+ *
+ * @returns {Object} - job status and progress.
+ */
+
+const describeJob = (job) => {
+  const progress = job.totalRows ? Math.min(100, Math.round(job.rowsWritten / job.totalRows * 100)) : null;
+  return {
+    jobId: job.id,
+    status: job.status,
+    workflowId: job.workflowId,
+    filter: job.filter,
+    format: job.format,
+    rowsWritten: job.rowsWritten,
+    totalRows: job.totalRows,
+    progress: job.status === 'completed' ? 100 : progress,
+    error: job.error,
+    createdAt: job.createdAt,
+    completedAt: job.completedAt,
+    statusUrl: `/exports/${job.id}`,
+    downloadUrl: job.status === 'completed' ? `/exports/${job.id}/download` : undefined
+  };
+}
+
+/**
+ * This function removes finished jobs older than the expiry time from memory.
+ * Their files are removed by `sweepExports`.
+ *
+ * @returns {number} - number of expired jobs.
+ */
+
+const expireJobs = () => {
+  const expiryTime = getExpiryTime();
+  let expired = 0;
+
+  for (let job of jobs.values()) {
+    let isFinished = job.status === 'completed' || job.status === 'failed';
+    if (isFinished && Date.parse(job.completedAt) < expiryTime) {
+      jobs.delete(job.id);
+      expired++;
+    }
+  }
+
+  return expired;
+}
+
+/**
+ * This function removes the files of export jobs generated before the expiry time,
+ * their codebooks and the export manifest documents recording them, including
+ * those of jobs run before the app was restarted. Files exported from the command
+ * line are not run as jobs and are kept.
+ *
+ * @param {string} resultDbUrl - result database url.
+ *
+ * @returns {number} - number of expired files.
+ */
+
+const sweepExports = async(resultDbUrl = dbConfig.result_db) => {
+  const expiryTime = getExpiryTime();
+  let expired = 0;
+
+  for (let manifest of await dbQuery.getExportManifests(resultDbUrl)) {
+    if (!manifest.job_id || !(Date.parse(manifest.generated_at) < expiryTime)) {
+      continue;
+    }
+    await removeFile(manifest.filepath);
+    if (manifest.codebook_filename) {
+      await removeFile(path.join(path.dirname(manifest.filepath), manifest.codebook_filename));
+    }
+    await dbQuery.deleteExportManifest(manifest.filename, resultDbUrl);
+    expired++;
+  }
+
+  return expired;
+}
+
+/**
+ * This function starts removing expired jobs and files, right away and then on a schedule.
+ *
+ * @returns {Object} - the interval timer.
+ */
+
+const scheduleCleanup = () => {
+  const cleanup = () => {
+    expireJobs();
+    sweepExports().catch((err) => console.error(err));
+  };
+  const timer = setInterval(cleanup, CLEANUP_INTERVAL_MINUTES * 60 * 1000);
+  timer.unref();
+  cleanup();
+  return timer;
+}
+
+/**
+ * This function returns the time before which finished jobs and their files have expired.
+ *
+ * @returns {number} - milliseconds since the epoch.
+ */
+
+function getExpiryTime() {
+  return Date.now() - EXPORT_TTL_MINUTES * 60 * 1000;
+}
+
+/**
+ * This function deletes a file, if it still exists.
+ *
+ * @param {string} filepath - path of the file.
+ *
+ * @returns {Promise} - resolves once the file is gone.
+ */
+
+function removeFile(filepath) {
+  return new Promise((resolve, reject) => {
+    fs.unlink(filepath, (err) => err && err.code !== 'ENOENT' ? reject(err) : resolve());
+  });
+}
+
+exports.submitJob = submitJob;
+
+exports.getJob = getJob;
+
+exports.findJob = findJob;
+
+exports.describeJob = describeJob;
+
+exports.expireJobs = expireJobs;
+
+exports.sweepExports = sweepExports;
+
+exports.scheduleCleanup = scheduleCleanup;
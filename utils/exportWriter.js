@@ -0,0 +1,226 @@
+/**
+ * This file writes processed results to a stream in one of the supported export formats.
+ *
+ * Supported formats: xlsx, csv, tsv and jsonl (JSON Lines).
+ */
+
+/**
+ * Module dependencies.
+ */
+
+const _ = require('lodash');
+const Excel = require('exceljs');
+
+/**
+ * Define the supported export formats.
+ */
+
+const FORMATS = {
+  xlsx: { extension: 'xlsx', contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' },
+  csv: { extension: 'csv', contentType: 'text/csv; charset=utf-8', delimiter: ',', newline: '\r\n', bom: true },
+  tsv: { extension: 'tsv', contentType: 'text/tab-separated-values; charset=utf-8', delimiter: '\t', newline: '\n', bom: false },
+  jsonl: { extension: 'jsonl', contentType: 'application/x-ndjson; charset=utf-8' }
+};
+
+const UTF8_BOM = '\ufeff';
+
+/**
+ * This function creates a writer for the given format.
+ *
+ * @param {string} format - export format, one of xlsx, csv, tsv or jsonl.
+ * @param {Object} stream - writable stream the export is written to.
+ * @param {Array} columns - column headers, each with a `header` and a `key`.
+ * @param {Object} options - writer options.
+ * @param {boolean} options.bom - prefix delimited files with a UTF-8 byte order mark.
+ * @param {string} options.sheetName - name of the xlsx worksheet, `Workflow Sheet` by default.
+ *
+ * @returns {Object} - writer with an `addRow(row)` and a `commit()` function.
+ *   `addRow` returns a promise when the stream needs to drain before more rows are written.
+ *   The xlsx writer also has an `addSheet(name, columns, rows)` function for extra worksheets,
+ *   which are written after the main sheet on commit.
+ */
+
+const createWriter = (format, stream, columns, options = {}) => {
+  let formatConfig = getFormat(format);
+
+  if (format === 'xlsx') {
+    return createXlsxWriter(stream, columns, options.sheetName);
+  }
+  if (format === 'jsonl') {
+    return createJsonLinesWriter(stream, columns);
+  }
+  return createDelimitedWriter(stream, columns, formatConfig, options);
+}
+
+/**
+ * This function returns the configuration of an export format.
+ * It throws when the format is not supported.
+ *
+ * @param {string} format - export format.
+ *
+ * @returns {Object} - format configuration.
+ */
+
+const getFormat = (format) => {
+  let formatConfig = FORMATS[format];
+  if (!formatConfig) {
+    throw new Error(`Unsupported export format "${format}". Use one of: ${Object.keys(FORMATS).join(', ')}.`);
+  }
+  return formatConfig;
+}
+
+/**
+ * This function creates a streaming xlsx workbook writer.
+ * Rows are committed as they are added, so only the current row is held in memory.
+ *
+ * @param {Object} stream - writable stream.
+ * @param {Array} columns - column headers.
+ * @param {string} sheetName - name of the worksheet.
+ *
+ * @returns {Object} - xlsx writer.
+ */
+
+function createXlsxWriter(stream, columns, sheetName = 'Workflow Sheet') {
+  let workbook = new Excel.stream.xlsx.WorkbookWriter({
+    stream: stream,
+    creator: 'Brockman',
+    lastModifiedBy: 'Matthew',
+    created: new Date(2017, 9, 1),
+    modified: new Date(),
+    lastPrinted: new Date(2017, 7, 27)
+  });
+
+  let excelSheet = workbook.addWorksheet(sheetName, {
+    views: [{ xSplit: 1 }], pageSetup: { paperSize: 9, orientation: 'landscape' }
+  });
+
+  // Add column headers and define column keys
+  excelSheet.columns = columns;
+
+  let extraSheets = [];
+
+  return {
+    addRow: (row) => excelSheet.addRow(row).commit(),
+    addSheet: (name, sheetColumns, rows) => extraSheets.push({ name, columns: sheetColumns, rows }),
+    commit: () => {
+      excelSheet.commit();
+      extraSheets.forEach((sheet) => {
+        let worksheet = workbook.addWorksheet(sheet.name);
+        worksheet.columns = sheet.columns;
+        sheet.rows.forEach((row) => worksheet.addRow(row).commit());
+        worksheet.commit();
+      });
+      return workbook.commit();
+    }
+  };
+}
+
+/**
+ * This function creates a csv or tsv writer.
+ *
+ * Values containing the delimiter, a double quote, a line break or
+ * leading/trailing whitespace are quoted and inner quotes are doubled.
+ *
+ * @param {Object} stream - writable stream.
+ * @param {Array} columns - column headers.
+ * @param {Object} formatConfig - delimiter, newline and byte order mark defaults.
+ * @param {Object} options - writer options.
+ *
+ * @returns {Object} - delimited writer.
+ */
+
+function createDelimitedWriter(stream, columns, formatConfig, options) {
+  let delimiter = formatConfig.delimiter;
+  let newline = formatConfig.newline;
+  let bom = options.bom == null ? formatConfig.bom : options.bom;
+  let headerLine = columns.map((column) => formatCell(column.header, delimiter)).join(delimiter);
+
+  stream.write((bom ? UTF8_BOM : '') + headerLine + newline);
+
+  return {
+    addRow: (row) => {
+      let line = columns.map((column) => formatCell(row[column.key], delimiter)).join(delimiter);
+      return writeLine(stream, line + newline);
+    },
+    commit: () => endStream(stream)
+  };
+}
+
+/**
+ * This function creates a JSON Lines writer.
+ * Each row is written as one JSON object keyed by column header.
+ *
+ * @param {Object} stream - writable stream.
+ * @param {Array} columns - column headers.
+ *
+ * @returns {Object} - JSON Lines writer.
+ */
+
+function createJsonLinesWriter(stream, columns) {
+  return {
+    addRow: (row) => {
+      let record = {};
+      columns.forEach((column) => {
+        record[column.header] = row[column.key] == null ? null : row[column.key];
+      });
+      return writeLine(stream, JSON.stringify(record) + '\n');
+    },
+    commit: () => endStream(stream)
+  };
+}
+
+/**
+ * This function formats a value as a csv or tsv cell.
+ *
+ * @param {*} value - cell value.
+ * @param {string} delimiter - field delimiter.
+ *
+ * @returns {string} - formatted cell.
+ */
+
+function formatCell(value, delimiter) {
+  if (value == null) {
+    return '';
+  }
+  let text = value instanceof Date ? value.toISOString() : _.isObject(value) ? JSON.stringify(value) : String(value);
+  let needsQuotes = text.indexOf(delimiter) > -1 || /["\r\n]/.test(text) || /^\s|\s$/.test(text);
+
+  return needsQuotes ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * This function writes a line to a stream.
+ *
+ * @param {Object} stream - writable stream.
+ * @param {string} line - line to be written.
+ *
+ * @returns {Promise|undefined} - resolves once the stream has drained, if it had to.
+ */
+
+function writeLine(stream, line) {
+  if (!stream.write(line)) {
+    return new Promise((resolve) => stream.once('drain', resolve));
+  }
+}
+
+/**
+ * This function ends a stream and waits until all data has been flushed.
+ *
+ * @param {Object} stream - writable stream.
+ *
+ * @returns {Promise} - resolves once the stream has finished.
+ */
+
+function endStream(stream) {
+  return new Promise((resolve, reject) => {
+    stream.on('finish', resolve);
+    stream.on('error', reject);
+    stream.end();
+  });
+}
+
+exports.FORMATS = FORMATS;
+
+exports.createWriter = createWriter;
+
+exports.getFormat = getFormat;
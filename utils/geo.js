@@ -0,0 +1,85 @@
+/**
+ * This file reads coordinates and measures distances between them.
+ */
+
+/**
+ * Module dependencies.
+ */
+
+const _ = require('lodash');
+
+/**
+ * Define the mean radius of the earth in meters.
+ */
+
+const EARTH_RADIUS = 6371008.8;
+
+/**
+ * This function reads the coordinates of a gps reading or a location,
+ * from either `latitude` and `longitude` or `lat` and `long`.
+ *
+ * @param {Object} source - gps reading or location.
+ *
+ * @returns {Object|undefined} - `{ latitude, longitude }`, if both are valid.
+ */
+
+function getCoordinates(source) {
+  if (!source) {
+    return undefined;
+  }
+  const latitude = parseCoordinate(_.find([source.latitude, source.lat], isSet));
+  const longitude = parseCoordinate(_.find([source.longitude, source.long, source.lng], isSet));
+
+  if (latitude === undefined || longitude === undefined || Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+    return undefined;
+  }
+  return { latitude: latitude, longitude: longitude };
+}
+
+/**
+ * This function measures the great-circle distance between two coordinates.
+ *
+ * @param {Object} from - `{ latitude, longitude }`.
+ * @param {Object} to - `{ latitude, longitude }`.
+ *
+ * @returns {number} - distance in meters.
+ */
+
+function getDistance(from, to) {
+  const toRadians = (degrees) => degrees * Math.PI / 180;
+  const latitudeDelta = toRadians(to.latitude - from.latitude);
+  const longitudeDelta = toRadians(to.longitude - from.longitude);
+  const a = Math.pow(Math.sin(latitudeDelta / 2), 2) +
+    Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.pow(Math.sin(longitudeDelta / 2), 2);
+
+  return 2 * EARTH_RADIUS * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+/**
+ * This function reads a coordinate.
+ *
+ * @param {*} value - coordinate, e.g. `-1.2921` or `'-1.2921'`.
+ *
+ * @returns {number|undefined} - the coordinate, if it is a finite number.
+ */
+
+function parseCoordinate(value) {
+  const number = Number(value);
+  return isSet(value) && Number.isFinite(number) ? number : undefined;
+}
+
+/**
+ * This function tells whether a value is set.
+ *
+ * @param {*} value - value.
+ *
+ * @returns {boolean} - false for missing values and empty strings.
+ */
+
+function isSet(value) {
+  return value !== undefined && value !== null && value !== '';
+}
+
+exports.getCoordinates = getCoordinates;
+
+exports.getDistance = getDistance;
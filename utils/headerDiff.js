@@ -0,0 +1,90 @@
+/**
+ * This file compares two versions of generated column headers.
+ */
+
+/**
+ * Module dependencies.
+ */
+
+const _ = require('lodash');
+
+/**
+ * This function compares two lists of column headers by column key.
+ *
+ * Columns in both lists are reported as reordered when they are not part of
+ * the longest sequence of columns kept in the same order, so moving a single
+ * column only reports that column. Columns whose key was kept but whose
+ * header changed are reported as renamed.
+ *
+ * @param {Array} oldColumns - column headers of the older version.
+ * @param {Array} newColumns - column headers of the newer version.
+ *
+ * @returns {Object} - `added`, `removed`, `reordered` and `renamed` columns.
+ */
+
+const diffHeaders = (oldColumns = [], newColumns = []) => {
+  const oldByKey = _.keyBy(oldColumns, 'key');
+  const newByKey = _.keyBy(newColumns, 'key');
+  const oldKeys = oldColumns.map((column) => column.key).filter((key) => newByKey[key]);
+  const newKeys = newColumns.map((column) => column.key).filter((key) => oldByKey[key]);
+  const keptInOrder = new Set(longestCommonSequence(oldKeys, newKeys));
+  const oldIndex = _.invert(_.map(oldColumns, 'key'));
+  const newIndex = _.invert(_.map(newColumns, 'key'));
+
+  return {
+    added: newColumns.filter((column) => !oldByKey[column.key]),
+    removed: oldColumns.filter((column) => !newByKey[column.key]),
+    reordered: newKeys.filter((key) => !keptInOrder.has(key)).map((key) => ({
+      header: newByKey[key].header,
+      key: key,
+      from: Number(oldIndex[key]),
+      to: Number(newIndex[key])
+    })),
+    renamed: newKeys.filter((key) => oldByKey[key].header !== newByKey[key].header).map((key) => ({
+      key: key,
+      from: oldByKey[key].header,
+      to: newByKey[key].header
+    }))
+  };
+}
+
+/**
+ * This function finds the longest sequence of values found in the same order in two lists.
+ *
+ * @param {Array} a - first list.
+ * @param {Array} b - second list.
+ *
+ * @returns {Array} - common values in order.
+ */
+
+function longestCommonSequence(a, b) {
+  const lengths = [];
+  let i, j;
+
+  for (i = a.length; i >= 0; i--) {
+    lengths[i] = new Uint32Array(b.length + 1);
+    for (j = b.length - 1; j >= 0 && i < a.length; j--) {
+      if (a[i] === b[j]) {
+        lengths[i][j] = lengths[i + 1][j + 1] + 1;
+      } else {
+        lengths[i][j] = Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+      }
+    }
+  }
+
+  const sequence = [];
+  for (i = 0, j = 0; i < a.length && j < b.length;) {
+    if (a[i] === b[j]) {
+      sequence.push(a[i]);
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+  return sequence;
+}
+
+exports.diffHeaders = diffHeaders;
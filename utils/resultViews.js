@@ -0,0 +1,92 @@
+/**
+ * This file defines the views this app creates in the result database.
+ *
+ * The map functions are written as plain functions and saved as strings
+ * in the `_design/reporting` document; `emit` is provided by CouchDB.
+ */
+
+/* global emit */
+
+/**
+ * Indexes processed results by `[parent_id, year, month, day]`, with months numbered 1 to 12.
+ * Results without a date, e.g. processed before dates were kept or whose validation
+ * failed, are indexed by `[parent_id, null, null, null]`: they sort before every date,
+ * so unfiltered exports still include them while date filters leave them out.
+ */
+
+function byParentDate(doc) {
+  var months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+  if (doc.parent_id && doc.processed_results && doc.result_year) {
+    emit([doc.parent_id, Number(doc.result_year), months.indexOf(doc.result_month) + 1, Number(doc.result_day)], null);
+  } else if (doc.parent_id && doc.processed_results) {
+    emit([doc.parent_id, null, null, null], null);
+  }
+}
+
+/**
+ * Indexes processed results by `[parent_id, level, location, year, month, day]`
+ * for each level of their location, e.g. `county` or `school`, once by label
+ * and once by id. Locations are trimmed and lower-cased, with each run of whitespace
+ * replaced by a dash, like `normalizeLocation` in `utils/exportFilter` does.
+ */
+
+function byLocation(doc) {
+  var months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+  var normalize = function(value) {
+    return value === undefined || value === null ? '' : String(value).trim().toLowerCase().replace(/\s+/g, '-');
+  };
+  if (doc.parent_id && doc.processed_results && doc.result_year && doc.location) {
+    var ids = doc.location_ids || {};
+    for (var level in doc.location) {
+      var label = normalize(doc.location[level]) || null;
+      var id = normalize(ids[level]) || null;
+      [label, id !== label ? id : null].forEach(function(location) {
+        if (location) {
+          emit([doc.parent_id, level, location, Number(doc.result_year), months.indexOf(doc.result_month) + 1, Number(doc.result_day)], null);
+        }
+      });
+    }
+  }
+}
+
+/**
+ * Indexes processed results by `[enumerator, start_timestamp]`, the start of the
+ * observation in milliseconds since the epoch, with the `parent_id` as value.
+ */
+
+function byEnumerator(doc) {
+  if (doc.processed_results && doc.enumerator && doc.start_timestamp) {
+    emit([doc.enumerator, doc.start_timestamp], doc.parent_id);
+  }
+}
+
+/**
+ * Indexes the subtests of processed results handled by the generic prototype fallback
+ * by `[parent_id, subtestId, prototype, column]`, with a `null` column for subtests
+ * without data. Reduced with `_count` to list the columns of a workflow or assessment.
+ */
+
+function fallbackColumns(doc) {
+  if (doc.parent_id && doc.processed_results && doc.fallback) {
+    doc.fallback.forEach(function(entry) {
+      if (entry.columns.length) {
+        entry.columns.forEach(function(column) {
+          emit([doc.parent_id, entry.subtestId, entry.prototype, column], null);
+        });
+      } else {
+        emit([doc.parent_id, entry.subtestId, entry.prototype, null], null);
+      }
+    });
+  }
+}
+
+module.exports = {
+  _id: '_design/reporting',
+  language: 'javascript',
+  views: {
+    byParentDate: { map: byParentDate.toString() },
+    byLocation: { map: byLocation.toString() },
+    byEnumerator: { map: byEnumerator.toString() },
+    fallbackColumns: { map: fallbackColumns.toString(), reduce: '_count' }
+  }
+};
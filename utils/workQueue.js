@@ -0,0 +1,158 @@
+/**
+ * This file implements a bounded in-process work queue.
+ *
+ * Tasks are grouped by a key: tasks sharing a key run one after the other
+ * in the order they were pushed, while tasks with different keys run side
+ * by side up to the concurrency limit. Failed tasks are retried with an
+ * exponential backoff and handed to a dead-letter handler once they run
+ * out of attempts.
+ */
+
+/**
+ * Module dependencies.
+ */
+
+const EventEmitter = require('events');
+
+/**
+ * Longest delay in milliseconds between calls of a failing dead-letter handler.
+ */
+
+const MAX_DEAD_LETTER_DELAY = 60 * 1000;
+
+/**
+ * This function creates a work queue.
+ *
+ * Events:
+ *
+ *  - `retry` (err, task, attempts) – a task failed and will be retried.
+ *  - `settled` (task, err) – a task finished, successfully or not.
+ *  - `error` (err) – the dead-letter handler itself failed. It is called again
+ *    with a backoff, and the task only settles once it has succeeded.
+ *
+ * @param {Function} worker - async function called with each task.
+ * @param {Object} options - queue options.
+ * @param {number} options.concurrency - number of tasks run at the same time.
+ * @param {number} options.limit - number of pending tasks before the queue is full.
+ * @param {number} options.maxRetries - number of retries before a task is dead-lettered.
+ * @param {number} options.retryDelay - delay in milliseconds before the first retry.
+ * @param {Function} options.onDeadLetter - async function called with a task that kept failing.
+ *
+ * @returns {Object} - the work queue.
+ */
+
+const createWorkQueue = (worker, options = {}) => {
+  const queue = new EventEmitter();
+  const concurrency = options.concurrency || 1;
+  const limit = options.limit || 100;
+  const maxRetries = options.maxRetries == null ? 3 : options.maxRetries;
+  const retryDelay = options.retryDelay || 1000;
+  const onDeadLetter = options.onDeadLetter || (() => {});
+
+  const jobsByKey = new Map();
+  const readyKeys = [];
+  const busyKeys = new Set();
+  const retries = [];
+  let running = 0;
+  let size = 0;
+
+  const next = () => {
+    while (running < concurrency && (retries.length || readyKeys.length)) {
+      const job = retries.length ? retries.shift() : take(readyKeys.shift());
+      run(job);
+    }
+  };
+
+  const take = (key) => {
+    const jobs = jobsByKey.get(key);
+    const job = jobs.shift();
+    if (!jobs.length) {
+      jobsByKey.delete(key);
+    }
+    busyKeys.add(key);
+    return job;
+  };
+
+  const run = async(job) => {
+    let error = null;
+    running++;
+    job.attempts++;
+
+    try {
+      await worker(job.task);
+    } catch (err) {
+      error = err;
+    }
+    running--;
+
+    // the key stays busy while waiting, so later tasks for it cannot overtake the retry.
+    if (error && job.attempts <= maxRetries) {
+      const delay = retryDelay * Math.pow(2, job.attempts - 1);
+      queue.emit('retry', error, job.task, job.attempts);
+      setTimeout(() => {
+        retries.push(job);
+        next();
+      }, delay);
+    } else {
+      if (error) {
+        await deadLetter(job, error);
+      }
+      settle(job, error);
+    }
+    next();
+  };
+
+  // a task is never settled before it has been dead-lettered, so it cannot be lost.
+  const deadLetter = async(job, error) => {
+    for (let failures = 1; ; failures++) {
+      try {
+        return await onDeadLetter(job.task, error, job.attempts);
+      } catch (err) {
+        queue.emit('error', err);
+      }
+      const delay = Math.min(retryDelay * Math.pow(2, failures - 1), MAX_DEAD_LETTER_DELAY);
+      await new Promise((resolve) => setTimeout(resolve, delay));
+    }
+  };
+
+  const settle = (job, error) => {
+    busyKeys.delete(job.key);
+    if (jobsByKey.has(job.key)) {
+      readyKeys.push(job.key);
+    }
+    size--;
+    job.resolve(error);
+    queue.emit('settled', job.task, error);
+  };
+
+  /**
+   * Adds a task to the queue.
+   *
+   * @param {string} key - tasks with the same key are run in order.
+   * @param {*} task - value passed to the worker.
+   *
+   * @returns {Promise} - resolves with the final error, if any, once the task has settled.
+   */
+
+  queue.push = (key, task) => new Promise((resolve) => {
+    const job = { key, task, attempts: 0, resolve };
+    size++;
+
+    if (!jobsByKey.has(key)) {
+      jobsByKey.set(key, []);
+      if (!busyKeys.has(key)) {
+        readyKeys.push(key);
+      }
+    }
+    jobsByKey.get(key).push(job);
+    next();
+  });
+
+  queue.size = () => size;
+
+  queue.isFull = () => size >= limit;
+
+  return queue;
+}
+
+exports.createWorkQueue = createWorkQueue;